@@ -0,0 +1,68 @@
+/**
+ * Back In Stock
+ * "Notify me when available" form for sold-out variants. Product forms call
+ * setVariant() on every variant change so the signup follows the selection.
+ */
+
+class BackInStockForm extends HTMLElement {
+  constructor() {
+    super();
+
+    this.form = this.querySelector('form');
+    if (!this.form) return;
+
+    this.tagsInput = this.querySelector('[data-back-in-stock-tags]');
+    this.variantLabel = this.querySelector('[data-back-in-stock-variant]');
+    this.message = this.querySelector('[data-back-in-stock-message]');
+    this.submitBtn = this.form.querySelector('[type="submit"]');
+
+    this.form.addEventListener('submit', (e) => this.onSubmit(e));
+  }
+
+  /**
+   * Show the form for a sold-out variant and sign up for that variant
+   * @param {Object|null} variant - Variant from the product JSON
+   */
+  setVariant(variant) {
+    this.hidden = !variant || variant.available;
+    if (!variant || !this.form) return;
+
+    this.tagsInput.value = `back-in-stock,back-in-stock-${variant.id}`;
+    this.variantLabel.textContent = variant.title;
+    this.message.textContent = '';
+  }
+
+  /**
+   * Posts in the background so the shopper keeps their place. When Shopify
+   * answers with a challenge page the form is submitted normally instead.
+   */
+  async onSubmit(e) {
+    e.preventDefault();
+    this.submitBtn.disabled = true;
+
+    try {
+      const response = await fetch(this.form.action, {
+        method: 'POST',
+        body: new FormData(this.form),
+        headers: { 'Accept': 'text/html' }
+      });
+
+      if (response.url.includes('/challenge')) {
+        this.form.submit();
+        return;
+      }
+
+      if (!response.ok) throw new Error(`Signup failed: ${response.status}`);
+
+      this.message.textContent = window.i18n.t('backInStockSuccess');
+      this.form.reset();
+    } catch (error) {
+      console.error('Back in stock signup error:', error);
+      this.message.textContent = window.i18n.t('backInStockError');
+    } finally {
+      this.submitBtn.disabled = false;
+    }
+  }
+}
+
+customElements.define('back-in-stock-form', BackInStockForm);
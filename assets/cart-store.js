@@ -0,0 +1,174 @@
+/**
+ * Cart Store
+ * Single client for the Shopify AJAX cart API and the in-memory cart snapshot.
+ * Components subscribe to `milutin:cart:changed` instead of polling /cart.js.
+ */
+
+(function() {
+  'use strict';
+
+  const CART_CHANGED_EVENT = 'milutin:cart:changed';
+
+  class CartStore {
+    constructor() {
+      this.cart = this.readInitialCart();
+    }
+
+    /**
+     * Cart rendered by theme.liquid, so the first paint needs no request
+     */
+    readInitialCart() {
+      const cartJson = document.querySelector('[data-cart-json]');
+      if (!cartJson) return null;
+
+      try {
+        return JSON.parse(cartJson.textContent);
+      } catch {
+        return null;
+      }
+    }
+
+    getCart() {
+      return this.cart;
+    }
+
+    /**
+     * Run callback with the full cart after every change.
+     * Returns an unsubscribe function.
+     */
+    subscribe(callback) {
+      const handler = (e) => callback(e.detail.cart, e.detail);
+      document.addEventListener(CART_CHANGED_EVENT, handler);
+      return () => document.removeEventListener(CART_CHANGED_EVENT, handler);
+    }
+
+    async refresh() {
+      const cart = await this.fetchCart();
+      this.setCart(cart, { action: 'refresh' });
+      return cart;
+    }
+
+    /**
+     * Add items to the cart.
+     * Accepts a product FormData, a single { id, quantity } line or an array of lines.
+     * /cart/add.js only returns the added items, so the cart is fetched once afterwards.
+     */
+    async add(items, options = {}) {
+      let body;
+
+      if (items instanceof FormData) {
+        body = items;
+        this.appendSections(body, options.sections);
+      } else {
+        body = this.withSections({ items: Array.isArray(items) ? items : [items] }, options.sections);
+      }
+
+      const data = await this.request('/cart/add.js', body);
+      const addedItems = data.items || [data];
+
+      const cart = await this.fetchCart();
+      this.setCart(cart, { action: 'add', items: addedItems, sections: data.sections });
+      return { cart, items: addedItems, sections: data.sections };
+    }
+
+    /**
+     * Change a single line, by key ({ id }) or 1-based index ({ line })
+     */
+    async change(line, options = {}) {
+      const cart = await this.request('/cart/change.js', this.withSections(line, options.sections));
+
+      this.setCart(cart, { action: 'change', line, sections: cart.sections });
+      return cart;
+    }
+
+    /**
+     * Update quantities, note or attributes in one request
+     */
+    async update(payload, options = {}) {
+      const cart = await this.request('/cart/update.js', this.withSections(payload, options.sections));
+
+      this.setCart(cart, { action: 'update', sections: cart.sections });
+      return cart;
+    }
+
+    async fetchCart() {
+      const response = await fetch('/cart.js', {
+        headers: { 'Accept': 'application/json' }
+      });
+      return this.parseResponse(response);
+    }
+
+    async request(url, body) {
+      const isFormData = body instanceof FormData;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: isFormData
+          ? { 'Accept': 'application/json' }
+          : { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: isFormData ? body : JSON.stringify(body)
+      });
+
+      return this.parseResponse(response);
+    }
+
+    /**
+     * Cart JSON, or a structured error. A 502 or challenge page is HTML,
+     * so the body is only parsed when it is actually JSON.
+     */
+    async parseResponse(response) {
+      const isJson = (response.headers.get('Content-Type') || '').includes('json');
+      const data = isJson ? await response.json().catch(() => null) : null;
+
+      if (!response.ok || !data) {
+        const error = new Error(data?.description || data?.message || `Cart request failed: ${response.status}`);
+        error.status = response.status;
+        error.data = data || {};
+        throw error;
+      }
+
+      return data;
+    }
+
+    withSections(payload, sections) {
+      if (!sections || sections.length === 0) return payload;
+
+      return {
+        ...payload,
+        sections: sections.join(','),
+        sections_url: window.location.pathname
+      };
+    }
+
+    appendSections(formData, sections) {
+      if (!sections || sections.length === 0) return;
+
+      formData.append('sections', sections.join(','));
+      formData.append('sections_url', window.location.pathname);
+    }
+
+    setCart(cart, detail = {}) {
+      // Section HTML is delivered through the event only, never kept in the snapshot
+      const { sections, ...snapshot } = cart;
+      const linesChanged = this.getLinesSignature(this.cart) !== this.getLinesSignature(snapshot);
+      this.cart = snapshot;
+
+      document.dispatchEvent(new CustomEvent(CART_CHANGED_EVENT, {
+        detail: { ...detail, linesChanged, cart: this.cart }
+      }));
+    }
+
+    /**
+     * Note and attribute updates leave this unchanged, so renderers can skip them
+     */
+    getLinesSignature(cart) {
+      if (!cart) return '';
+
+      const lines = cart.items.map((item) => `${item.key}:${item.quantity}:${item.final_line_price}`);
+      return `${cart.total_price}|${lines.join(',')}`;
+    }
+  }
+
+  window.cartStore = new CartStore();
+
+})();
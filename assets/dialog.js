@@ -0,0 +1,194 @@
+/**
+ * Dialog
+ * <milutin-dialog> is the shared base for every overlay: modals, drawers, the
+ * mobile menu and the lightbox. Open dialogs form a stack. The top one gets
+ * Escape and the focus trap, everything outside it is inert, and the page
+ * stays scroll-locked until the last one closes.
+ *
+ *   dialog.show(opener)  // opener gets focus back on hide()
+ *   dialog.hide()
+ *
+ * Markup:
+ *   [data-dialog-close]             closes the dialog on click (overlay, close buttons)
+ *   [data-dialog-initial-focus]     receives focus on open, otherwise the first focusable element
+ *   [data-dialog-keep-interactive]  never made inert, e.g. toasts raised while a dialog is open
+ *
+ * Dispatches milutin:dialog:open and milutin:dialog:close on the element
+ * itself, without bubbling, so nested dialogs don't trigger their parents.
+ * Open state is aria-hidden="false", which the overlays style.
+ */
+
+const DIALOG_FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Elements that never need inert
+const DIALOG_INERT_SKIP = ['SCRIPT', 'STYLE', 'LINK', 'TEMPLATE'];
+
+class MilutinDialog extends HTMLElement {
+  constructor() {
+    super();
+
+    this.opener = null;
+
+    this.addEventListener('click', (e) => {
+      const closeBtn = e.target.closest('[data-dialog-close]');
+      if (closeBtn && closeBtn.closest('[role="dialog"]') === this) this.hide();
+    });
+  }
+
+  connectedCallback() {
+    if (!this.hasAttribute('role')) this.setAttribute('role', 'dialog');
+    if (!this.hasAttribute('aria-hidden')) this.setAttribute('aria-hidden', 'true');
+    if (!this.hasAttribute('tabindex')) this.setAttribute('tabindex', '-1');
+    this.setAttribute('aria-modal', 'true');
+  }
+
+  isOpen() {
+    return this.getAttribute('aria-hidden') === 'false';
+  }
+
+  /**
+   * @param {Element} [opener] - Element to focus again on hide(), the focused element by default
+   */
+  show(opener = document.activeElement) {
+    if (this.isOpen()) return;
+
+    this.opener = opener;
+    this.setAttribute('aria-hidden', 'false');
+    MilutinDialog.stack.push(this);
+    MilutinDialog.update();
+
+    // Wait a frame, until the open styles make the contents focusable
+    requestAnimationFrame(() => {
+      if (!this.isOpen()) return;
+
+      const target = this.querySelector('[data-dialog-initial-focus]') || this.getFocusable()[0] || this;
+      target.focus({ preventScroll: true });
+    });
+
+    this.dispatchEvent(new CustomEvent('milutin:dialog:open'));
+  }
+
+  hide() {
+    if (!this.isOpen()) return;
+
+    const focusInside = this.contains(document.activeElement) || document.activeElement === document.body;
+
+    this.setAttribute('aria-hidden', 'true');
+    MilutinDialog.stack = MilutinDialog.stack.filter((dialog) => dialog !== this);
+
+    // Dialogs opened from inside this one return focus to its opener instead
+    MilutinDialog.stack.forEach((dialog) => {
+      if (this.contains(dialog.opener)) dialog.opener = this.opener;
+    });
+
+    MilutinDialog.update();
+
+    if (focusInside) this.opener?.focus?.({ preventScroll: true });
+    this.opener = null;
+
+    this.dispatchEvent(new CustomEvent('milutin:dialog:close'));
+  }
+
+  getFocusable() {
+    return Array.from(this.querySelectorAll(DIALOG_FOCUSABLE_SELECTOR)).filter((el) => {
+      return el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+    });
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling through the dialog
+   */
+  trapFocus(e) {
+    const focusable = this.getFocusable();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!first) {
+      e.preventDefault();
+      this.focus();
+    } else if (!this.contains(active)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && (active === first || active === this)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Make everything outside the top dialog inert and lock scrolling while any
+   * dialog is open. Recomputed from scratch so dialogs can close in any order.
+   */
+  static update() {
+    MilutinDialog.inerted.forEach((el) => { el.inert = false; });
+    MilutinDialog.inerted.clear();
+
+    const top = MilutinDialog.stack[MilutinDialog.stack.length - 1];
+    let node = top;
+
+    while (node && node !== document.body && node.parentElement) {
+      Array.from(node.parentElement.children).forEach((sibling) => {
+        if (sibling === node || sibling.inert || DIALOG_INERT_SKIP.includes(sibling.tagName)) return;
+        if (sibling.hasAttribute('data-dialog-keep-interactive')) return;
+
+        sibling.inert = true;
+        MilutinDialog.inerted.add(sibling);
+      });
+
+      node = node.parentElement;
+    }
+
+    MilutinDialog.lockScroll(Boolean(top));
+  }
+
+  /**
+   * Padding in place of the hidden scrollbar keeps the page from shifting
+   */
+  static lockScroll(locked) {
+    const body = document.body;
+    if (body.classList.contains('is-scroll-locked') === locked) return;
+
+    if (locked) {
+      const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+      body.style.setProperty('--scrollbar-width', `${scrollbarWidth}px`);
+    } else {
+      body.style.removeProperty('--scrollbar-width');
+    }
+
+    body.classList.toggle('is-scroll-locked', locked);
+  }
+
+  static onKeydown(e) {
+    const top = MilutinDialog.stack[MilutinDialog.stack.length - 1];
+    if (!top) return;
+
+    if (e.key === 'Escape' && !e.defaultPrevented) {
+      e.preventDefault();
+      top.hide();
+    } else if (e.key === 'Tab') {
+      top.trapFocus(e);
+    }
+  }
+}
+
+// Open dialogs, the last one on top
+MilutinDialog.stack = [];
+
+// Elements made inert by update(), and only those
+MilutinDialog.inerted = new Set();
+
+document.addEventListener('keydown', (e) => MilutinDialog.onKeydown(e));
+
+customElements.define('milutin-dialog', MilutinDialog);
@@ -0,0 +1,140 @@
+/**
+ * Localization
+ * Country/currency and language selectors, and re-pricing of prices cached in localStorage
+ */
+
+class LocalizationForm extends HTMLElement {
+  constructor() {
+    super();
+
+    this.form = this.querySelector('form');
+    if (!this.form) return;
+
+    this.querySelectorAll('[data-localization-select]').forEach((select) => {
+      select.addEventListener('change', () => this.form.submit());
+    });
+  }
+}
+
+customElements.define('localization-form', LocalizationForm);
+
+(function() {
+  'use strict';
+
+  /**
+   * Cached Prices
+   * Wishlist and recently viewed entries store a formatted price with the
+   * currency it was formatted in. Entries from another currency are re-priced
+   * from /products/{handle}.js, which answers in the active currency.
+   */
+  class CachedPrices {
+    constructor() {
+      this.currency = window.money.getCurrency();
+      this.products = new Map();
+
+      // The wishlist is read and written through its own store
+      this.stores = [
+        {
+          load: () => window.wishlist?.getAll() || [],
+          save: (entries) => window.wishlist?.replace(entries)
+        },
+        {
+          load: () => this.load('milutin_recently_viewed'),
+          save: (entries) => this.save('milutin_recently_viewed', entries)
+        }
+      ];
+
+      this.repriceAll();
+    }
+
+    async repriceAll() {
+      const results = await Promise.all(this.stores.map((store) => this.reprice(store)));
+      if (!results.some(Boolean)) return;
+
+      document.dispatchEvent(new CustomEvent('milutin:currency:changed', {
+        detail: { currency: this.currency }
+      }));
+    }
+
+    /**
+     * Returns true when any entry in the store was updated
+     */
+    async reprice(store) {
+      // Legacy entries without a handle can't be looked up, so their price stays as saved
+      const stale = store.load()
+        .filter((entry) => entry.handle && entry.currency !== this.currency)
+        .map((entry) => ({ ...entry }));
+      if (stale.length === 0) return false;
+
+      await Promise.all(stale.map(async (entry) => {
+        const product = await this.fetchProduct(entry.handle);
+
+        // Leave the entry for the next page load if the request itself failed
+        if (product === undefined) return;
+
+        const variant = entry.variantId && product?.variants.find((v) => String(v.id) === entry.variantId);
+        entry.price = product ? window.money.format((variant || product).price) : '';
+        entry.currency = this.currency;
+      }));
+
+      // Another tab may have written in the meantime, only touch the prices
+      const current = store.load().map((entry) => {
+        const updated = stale.find((item) => item.handle === entry.handle && item.variantId === entry.variantId);
+        return updated ? { ...entry, price: updated.price, currency: updated.currency } : entry;
+      });
+
+      store.save(current);
+      return true;
+    }
+
+    /**
+     * Resolves null for products that no longer exist, undefined on network errors
+     */
+    fetchProduct(handle) {
+      if (!this.products.has(handle)) {
+        const request = fetch(`${window.Shopify?.routes?.root || '/'}products/${handle}.js`, {
+          headers: { 'Accept': 'application/json' }
+        })
+          .then((response) => {
+            if (response.status === 404) return null;
+            return response.ok ? response.json() : undefined;
+          })
+          .catch(() => undefined);
+
+        this.products.set(handle, request);
+      }
+
+      return this.products.get(handle);
+    }
+
+    load(storageKey) {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey)) || [];
+      } catch {
+        return [];
+      }
+    }
+
+    save(storageKey, entries) {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(entries));
+      } catch (e) {
+        console.error('Failed to save re-priced products:', e);
+      }
+    }
+  }
+
+  /**
+   * Initialize
+   */
+  function init() {
+    new CachedPrices();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
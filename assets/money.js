@@ -0,0 +1,120 @@
+/**
+ * Money
+ * Formats prices client-side with the shop's Liquid money formats,
+ * so JS-rendered prices match `{{ price | money }}` (e.g. "1.234,00 RSD").
+ * The Liquid formats are written for the shop currency; other presentment
+ * currencies are formatted with Intl.NumberFormat.
+ */
+
+(function() {
+  'use strict';
+
+  const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/;
+
+  class Money {
+    constructor() {
+      const formats = window.moneyFormats || {};
+
+      // Formats may wrap the amount in markup, prices here are set as text
+      this.formats = {
+        default: this.stripTags(formats.default),
+        withCurrency: this.stripTags(formats.withCurrency)
+      };
+      this.shopCurrency = formats.shopCurrency;
+    }
+
+    /**
+     * ISO code of the currency prices are presented in, e.g. "EUR"
+     */
+    getCurrency() {
+      return window.Shopify?.currency?.active || window.shopCurrency || this.shopCurrency;
+    }
+
+    isShopCurrency() {
+      return !this.shopCurrency || this.getCurrency() === this.shopCurrency;
+    }
+
+    stripTags(format) {
+      return format ? format.replace(/<[^>]*>/g, '') : '';
+    }
+
+    /**
+     * Format cents with the shop's money_format
+     * @param {number|string} cents - Integer cents, e.g. 1250 for 12,50
+     * @param {string} [format] - Liquid money format, defaults to the shop's
+     */
+    format(cents, format) {
+      if (!format && !this.isShopCurrency()) return this.formatIntl(cents, 'symbol');
+
+      return this.applyFormat(cents, format || this.formats.default || '{{amount}}');
+    }
+
+    /**
+     * Format cents with the shop's money_with_currency_format
+     */
+    formatWithCurrency(cents) {
+      if (!this.isShopCurrency()) return this.formatIntl(cents, 'code');
+
+      return this.applyFormat(cents, this.formats.withCurrency || this.formats.default || '{{amount}}');
+    }
+
+    formatIntl(cents, currencyDisplay) {
+      const formatter = new Intl.NumberFormat(document.documentElement.lang || undefined, {
+        style: 'currency',
+        currency: this.getCurrency(),
+        currencyDisplay
+      });
+
+      return formatter.format(this.toCents(cents) / 100);
+    }
+
+    /**
+     * Amounts are integer cents only, as a number or a numeric string ("1250").
+     * A decimal amount like "12.50" is not cents and must be converted by the caller.
+     */
+    toCents(cents) {
+      return Number(cents) || 0;
+    }
+
+    applyFormat(cents, format) {
+      cents = this.toCents(cents);
+
+      const match = format.match(PLACEHOLDER);
+      if (!match) return format;
+
+      return format.replace(PLACEHOLDER, this.formatAmount(cents, match[1]));
+    }
+
+    formatAmount(cents, placeholder) {
+      switch (placeholder) {
+        case 'amount_no_decimals':
+          return this.withDelimiters(cents, 0, ',', '.');
+        case 'amount_with_comma_separator':
+          return this.withDelimiters(cents, 2, '.', ',');
+        case 'amount_no_decimals_with_comma_separator':
+          return this.withDelimiters(cents, 0, '.', ',');
+        case 'amount_with_apostrophe_separator':
+          return this.withDelimiters(cents, 2, '\'', '.');
+        case 'amount_no_decimals_with_space_separator':
+          return this.withDelimiters(cents, 0, ' ', ',');
+        case 'amount_with_space_separator':
+          return this.withDelimiters(cents, 2, ' ', ',');
+        case 'amount_with_period_and_space_separator':
+          return this.withDelimiters(cents, 2, ' ', '.');
+        case 'amount':
+        default:
+          return this.withDelimiters(cents, 2, ',', '.');
+      }
+    }
+
+    withDelimiters(cents, precision, thousands, decimal) {
+      const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+      const grouped = whole.replace(/(\d)(?=(\d{3})+(?!\d))/g, `$1${thousands}`);
+
+      return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+    }
+  }
+
+  window.money = new Money();
+
+})();
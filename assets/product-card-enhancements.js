@@ -1,127 +1,27 @@
 /**
  * Product Card Enhancements
- * Quick view, wishlist, and quick add functionality
+ * Quick view, quick add, colour swatches and recently viewed products.
+ * Wishlist toggles are handled by wishlist.js
  */
 
 (function() {
   'use strict';
 
-  /**
-   * Wishlist Manager
-   * Uses localStorage to store wishlist items
-   */
-  class WishlistManager {
-    constructor() {
-      this.storageKey = 'milutin_wishlist';
-      this.wishlist = this.load();
-      this.init();
-    }
-
-    load() {
-      try {
-        return JSON.parse(localStorage.getItem(this.storageKey)) || [];
-      } catch {
-        return [];
-      }
-    }
-
-    save() {
-      try {
-        localStorage.setItem(this.storageKey, JSON.stringify(this.wishlist));
-        this.updateUI();
-        this.dispatchEvent();
-      } catch (e) {
-        console.error('Failed to save wishlist:', e);
-      }
-    }
+  // Parts of the product section that only make sense on the product page
+  const PAGE_ONLY_SELECTOR = '.breadcrumbs, [data-sticky-atc], [data-product-lightbox], [data-lightbox-open]';
 
-    add(product) {
-      if (!this.has(product.id)) {
-        this.wishlist.push(product);
-        this.save();
-      }
-    }
-
-    remove(productId) {
-      this.wishlist = this.wishlist.filter(p => p.id !== productId);
-      this.save();
-    }
-
-    toggle(product) {
-      if (this.has(product.id)) {
-        this.remove(product.id);
-        return false;
-      } else {
-        this.add(product);
-        return true;
-      }
-    }
-
-    has(productId) {
-      return this.wishlist.some(p => p.id === productId);
-    }
-
-    getAll() {
-      return this.wishlist;
-    }
-
-    getCount() {
-      return this.wishlist.length;
-    }
-
-    init() {
-      this.updateUI();
-
-      // Listen for clicks on wishlist toggles
-      document.addEventListener('click', (e) => {
-        const btn = e.target.closest('[data-wishlist-toggle]');
-        if (!btn) return;
-
-        e.preventDefault();
-
-        const product = {
-          id: btn.dataset.productId,
-          handle: btn.dataset.productHandle,
-          title: btn.dataset.productTitle,
-          image: btn.dataset.productImage,
-          price: btn.dataset.productPrice,
-          url: btn.dataset.productUrl
-        };
-
-        const added = this.toggle(product);
-        btn.classList.toggle('is-active', added);
-        btn.setAttribute('aria-label', added
-          ? window.translations?.removeFromWishlist || 'Remove from wishlist'
-          : window.translations?.addToWishlist || 'Add to wishlist'
-        );
-      });
-    }
-
-    updateUI() {
-      // Update all wishlist toggle buttons
-      document.querySelectorAll('[data-wishlist-toggle]').forEach(btn => {
-        const productId = btn.dataset.productId;
-        const isInWishlist = this.has(productId);
-        btn.classList.toggle('is-active', isInWishlist);
-      });
-
-      // Update wishlist count if element exists
-      const countEl = document.querySelector('[data-wishlist-count]');
-      if (countEl) {
-        countEl.textContent = this.getCount();
-        countEl.hidden = this.getCount() === 0;
-      }
-    }
-
-    dispatchEvent() {
-      document.dispatchEvent(new CustomEvent('milutin:wishlist:updated', {
-        detail: { wishlist: this.wishlist, count: this.getCount() }
-      }));
-    }
-  }
+  // Attributes that point at element ids, rewritten along with the ids in quick view
+  const ID_REFERENCE_ATTRIBUTES = ['for', 'form', 'aria-controls', 'aria-describedby', 'aria-labelledby'];
 
   /**
    * Quick View Modal
+   * Shows the product template's own main-product section, so the merchant's
+   * blocks and settings carry over, loading section-product.js and its styles
+   * on pages that don't have them.
+   *
+   * The section's instance id is only known on the product page, so the first
+   * quick view per product template loads the full page and remembers the id.
+   * Later ones render just that section through the Section Rendering API.
    */
   class QuickViewModal {
     constructor() {
@@ -129,6 +29,12 @@
       if (!this.modal) return;
 
       this.content = this.modal.querySelector('[data-quick-view-content]');
+      this.assets = null;
+      this.request = null;
+
+      // Section instance id by product template suffix
+      this.sectionIds = new Map();
+
       this.init();
     }
 
@@ -140,249 +46,151 @@
 
         e.preventDefault();
         const productUrl = btn.dataset.productUrl;
-        await this.open(productUrl);
+        await this.open(productUrl, null, btn);
       });
 
-      // Close modal
-      this.modal.querySelectorAll('[data-quick-view-close]').forEach(el => {
-        el.addEventListener('click', () => this.close());
+      // The modal is a <milutin-dialog>, which handles focus, Escape and closing
+      this.modal.addEventListener('milutin:dialog:close', () => {
+        this.request = null;
       });
 
-      // Escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen()) {
-          this.close();
-        }
-      });
+      // Make way for the cart drawer once the product form has added to cart
+      document.addEventListener('milutin:cart:open', () => this.close());
     }
 
-    isOpen() {
-      return this.modal.getAttribute('aria-hidden') === 'false';
-    }
-
-    async open(productUrl) {
+    /**
+     * @param {string} productUrl
+     * @param {string} [variantId] - Variant to select, e.g. a sold-out size to sign up for
+     * @param {Element} [opener] - Gets focus back when the quick view closes
+     */
+    async open(productUrl, variantId, opener) {
       // Show modal with loading state
       this.content.innerHTML = `
         <div class="quick-view-modal__loading">
           <span class="quick-view-modal__spinner"></span>
         </div>
       `;
-      this.modal.setAttribute('aria-hidden', 'false');
-      document.body.style.overflow = 'hidden';
+      this.modal.show(opener);
+
+      // A later open() replaces this one
+      const request = this.request = {};
+
+      // Cards name their product's template; without one the full page is always loaded
+      const template = opener?.closest('[data-product-template]')?.getAttribute('data-product-template');
+      const sectionId = template !== undefined ? this.sectionIds.get(template) : undefined;
 
       try {
-        // Fetch product page
-        const response = await fetch(`${productUrl}?view=quick-view`);
-
-        if (!response.ok) {
-          // Fallback: fetch regular product page and extract content
-          const fallbackResponse = await fetch(productUrl);
-          const html = await fallbackResponse.text();
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(html, 'text/html');
-
-          // Try to get product JSON
-          const productScript = doc.querySelector('script[type="application/json"][data-product-json]');
-          if (productScript) {
-            const productData = JSON.parse(productScript.textContent);
-            this.renderQuickView(productData, productUrl);
-          } else {
-            // Simple fallback
-            this.content.innerHTML = `
-              <div class="quick-view-product">
-                <p style="text-align: center; padding: var(--spacing-8);">
-                  <a href="${productUrl}" class="btn btn--primary">View Product</a>
-                </p>
-              </div>
-            `;
-          }
-        } else {
-          const html = await response.text();
-          this.content.innerHTML = html;
-          this.initQuickViewProduct();
-        }
+        const url = new URL(productUrl, window.location.origin);
+        if (sectionId) url.searchParams.set('section_id', sectionId);
+        if (variantId) url.searchParams.set('variant', variantId);
+
+        const [response] = await Promise.all([fetch(url), this.loadAssets()]);
+        if (!response.ok) throw new Error(`Quick view failed: ${response.status}`);
+
+        const html = await response.text();
+        if (request !== this.request) return;
+
+        const section = new DOMParser().parseFromString(html, 'text/html').querySelector('product-section');
+        if (!section) throw new Error('Quick view: product section missing');
+
+        if (template !== undefined) this.sectionIds.set(template, section.getAttribute('data-section-id'));
+
+        this.render(section, productUrl);
       } catch (error) {
+        if (request !== this.request) return;
+
         console.error('Quick view error:', error);
         this.content.innerHTML = `
           <div style="text-align: center; padding: var(--spacing-8);">
-            <p>Unable to load product</p>
-            <a href="${productUrl}" class="btn btn--primary">View Product</a>
+            <p>${window.i18n.t('quickViewError')}</p>
+            <a href="${productUrl}" class="btn btn--primary">${window.i18n.t('viewProduct')}</a>
           </div>
         `;
       }
     }
 
-    renderQuickView(product, productUrl) {
-      const selectedVariant = product.variants[0];
-      const hasMultipleImages = product.images && product.images.length > 1;
+    /**
+     * Drop the page-only parts, then connect the section so its
+     * ProductForm and ProductGallery initialize inside the modal
+     */
+    render(section, productUrl) {
+      section.querySelectorAll(PAGE_ONLY_SELECTOR).forEach((el) => el.remove());
+      section.setAttribute('data-quick-view', '');
+      this.uniquifyIds(section);
 
-      let imagesHtml = '';
-      if (product.featured_image) {
-        imagesHtml = `<img src="${product.featured_image}" class="quick-view-product__image" alt="${product.title}">`;
-      }
+      section.querySelector('[data-product-info]')?.insertAdjacentHTML('beforeend', `
+        <a href="${productUrl}" class="quick-view-product__view-full">${window.i18n.t('viewFullDetails')}</a>
+      `);
 
-      let thumbnailsHtml = '';
-      if (hasMultipleImages) {
-        thumbnailsHtml = `<div class="quick-view-product__thumbnails">
-          ${product.images.slice(0, 5).map((img, i) => `
-            <button class="quick-view-product__thumbnail ${i === 0 ? 'is-active' : ''}" data-image-index="${i}">
-              <img src="${img}" alt="">
-            </button>
-          `).join('')}
-        </div>`;
-      }
+      this.content.replaceChildren(document.adoptNode(section));
 
-      let optionsHtml = '';
-      if (product.options && product.options.length > 0 && !(product.options.length === 1 && product.options[0] === 'Title')) {
-        optionsHtml = `<div class="quick-view-product__options">
-          ${product.options.map((option, i) => {
-            const values = [...new Set(product.variants.map(v => v.options[i]))];
-            return `
-              <div class="quick-view-product__option">
-                <p class="quick-view-product__option-label">${option}</p>
-                <div class="quick-view-product__option-values">
-                  ${values.map((value, j) => `
-                    <button class="quick-view-product__option-btn ${j === 0 ? 'is-selected' : ''}"
-                      data-option-index="${i}" data-value="${value}">${value}</button>
-                  `).join('')}
-                </div>
-              </div>
-            `;
-          }).join('')}
-        </div>`;
-      }
-
-      const priceHtml = selectedVariant.compare_at_price && selectedVariant.compare_at_price > selectedVariant.price
-        ? `<span class="quick-view-product__price-sale">${this.formatMoney(selectedVariant.price)}</span>
-           <s class="quick-view-product__price-compare">${this.formatMoney(selectedVariant.compare_at_price)}</s>`
-        : `<span>${this.formatMoney(selectedVariant.price)}</span>`;
-
-      this.content.innerHTML = `
-        <div class="quick-view-product" data-quick-view-product>
-          <div class="quick-view-product__gallery">
-            ${imagesHtml}
-            ${thumbnailsHtml}
-          </div>
-          <div class="quick-view-product__info">
-            <h2 class="quick-view-product__title">${product.title}</h2>
-            <div class="quick-view-product__price" data-price>${priceHtml}</div>
-
-            ${optionsHtml}
-
-            <div class="quick-view-product__quantity">
-              <span class="quick-view-product__quantity-label">Quantity</span>
-              <div class="quick-view-product__quantity-selector">
-                <button type="button" class="quick-view-product__quantity-btn" data-quantity-minus>−</button>
-                <input type="number" value="1" min="1" class="quick-view-product__quantity-input" data-quantity-input>
-                <button type="button" class="quick-view-product__quantity-btn" data-quantity-plus>+</button>
-              </div>
-            </div>
-
-            <button type="button" class="btn btn--primary btn--full quick-view-product__add"
-              data-add-to-cart data-variant-id="${selectedVariant.id}"
-              ${!selectedVariant.available ? 'disabled' : ''}>
-              ${selectedVariant.available ? (window.translations?.addToCart || 'Add to cart') : (window.translations?.soldOut || 'Sold out')}
-            </button>
-
-            <a href="${productUrl}" class="quick-view-product__view-full">View full details</a>
-          </div>
-        </div>
-      `;
-
-      this.initQuickViewProduct();
+      window.Shopify?.PaymentButton?.init();
+      window.wishlist?.updateUI();
     }
 
-    initQuickViewProduct() {
-      const product = this.content.querySelector('[data-quick-view-product]');
-      if (!product) return;
-
-      // Thumbnail clicks
-      product.querySelectorAll('.quick-view-product__thumbnail').forEach(thumb => {
-        thumb.addEventListener('click', () => {
-          const index = thumb.dataset.imageIndex;
-          const mainImage = product.querySelector('.quick-view-product__image');
-          const thumbImg = thumb.querySelector('img');
+    /**
+     * On the product page the section is already there with the same ids, so
+     * labels and form= attributes would resolve to the page's own controls
+     */
+    uniquifyIds(section) {
+      const ids = new Set();
 
-          if (mainImage && thumbImg) {
-            mainImage.src = thumbImg.src.replace(/&width=\d+/, '&width=600');
-          }
-
-          product.querySelectorAll('.quick-view-product__thumbnail').forEach(t => t.classList.remove('is-active'));
-          thumb.classList.add('is-active');
-        });
+      section.querySelectorAll('[id]').forEach((el) => {
+        ids.add(el.id);
+        el.id = `${el.id}-QuickView`;
       });
 
-      // Quantity controls
-      const quantityInput = product.querySelector('[data-quantity-input]');
-      product.querySelector('[data-quantity-minus]')?.addEventListener('click', () => {
-        if (quantityInput && parseInt(quantityInput.value) > 1) {
-          quantityInput.value = parseInt(quantityInput.value) - 1;
-        }
-      });
-      product.querySelector('[data-quantity-plus]')?.addEventListener('click', () => {
-        if (quantityInput) {
-          quantityInput.value = parseInt(quantityInput.value) + 1;
-        }
-      });
+      const selector = ID_REFERENCE_ATTRIBUTES.map((attribute) => `[${attribute}]`).join(', ');
+
+      section.querySelectorAll(selector).forEach((el) => {
+        ID_REFERENCE_ATTRIBUTES.forEach((attribute) => {
+          const value = el.getAttribute(attribute);
+          if (!value) return;
 
-      // Add to cart
-      const addBtn = product.querySelector('[data-add-to-cart]');
-      addBtn?.addEventListener('click', async () => {
-        const variantId = addBtn.dataset.variantId;
-        const quantity = parseInt(quantityInput?.value) || 1;
-        await this.addToCart(variantId, quantity, addBtn);
+          // aria-* attributes take a list of ids
+          const updated = value.split(' ')
+            .map((id) => ids.has(id) ? `${id}-QuickView` : id)
+            .join(' ');
+          el.setAttribute(attribute, updated);
+        });
       });
     }
 
-    async addToCart(variantId, quantity, btn) {
-      const originalText = btn.textContent;
-      btn.textContent = window.translations?.adding || 'Adding...';
-      btn.disabled = true;
-
-      try {
-        const response = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ id: variantId, quantity: quantity })
+    /**
+     * Resolves once section-product.js and section-product.css are on the page
+     */
+    loadAssets() {
+      if (!this.assets) {
+        const { productScript, productStylesheet } = this.modal.dataset;
+
+        this.assets = Promise.all([
+          this.loadAsset('link', productStylesheet),
+          customElements.get('product-section') ? null : this.loadAsset('script', productScript)
+        ]).catch((error) => {
+          this.assets = null;
+          throw error;
         });
-
-        if (response.ok) {
-          btn.textContent = window.translations?.added || 'Added!';
-
-          // Update cart count
-          document.querySelectorAll('[data-cart-count]').forEach(el => {
-            fetch('/cart.js')
-              .then(r => r.json())
-              .then(cart => {
-                el.textContent = cart.item_count;
-                el.hidden = cart.item_count === 0;
-              });
-          });
-
-          // Open cart drawer
-          document.dispatchEvent(new CustomEvent('milutin:cart:open'));
-
-          setTimeout(() => this.close(), 500);
-        } else {
-          throw new Error('Failed to add to cart');
-        }
-      } catch (error) {
-        console.error('Add to cart error:', error);
-        btn.textContent = 'Error';
-        setTimeout(() => {
-          btn.textContent = originalText;
-          btn.disabled = false;
-        }, 2000);
       }
+
+      return this.assets;
     }
 
-    formatMoney(cents) {
-      return (cents / 100).toFixed(2) + ' RSD';
+    loadAsset(tagName, url) {
+      const attribute = tagName === 'link' ? 'href' : 'src';
+      if (document.querySelector(`${tagName}[${attribute}="${url}"]`)) return null;
+
+      return new Promise((resolve, reject) => {
+        const element = document.createElement(tagName);
+        if (tagName === 'link') element.rel = 'stylesheet';
+        element[attribute] = url;
+        element.onload = resolve;
+        element.onerror = () => reject(new Error(`Failed to load ${url}`));
+        document.head.appendChild(element);
+      });
     }
 
     close() {
-      this.modal.setAttribute('aria-hidden', 'true');
-      document.body.style.overflow = '';
+      this.modal.hide();
     }
   }
 
@@ -391,7 +199,8 @@
    * Handles size buttons and single-variant quick add
    */
   class QuickAdd {
-    constructor() {
+    constructor(quickView) {
+      this.quickView = quickView;
       this.init();
     }
 
@@ -399,7 +208,10 @@
       // Size button clicks
       document.addEventListener('click', async (e) => {
         const sizeBtn = e.target.closest('[data-quick-add-size]');
-        if (sizeBtn && !sizeBtn.disabled) {
+        if (sizeBtn && sizeBtn.hasAttribute('data-back-in-stock')) {
+          e.preventDefault();
+          this.notifyWhenAvailable(sizeBtn);
+        } else if (sizeBtn && !sizeBtn.disabled) {
           e.preventDefault();
           await this.addToCart(sizeBtn.dataset.variantId, sizeBtn);
         }
@@ -412,6 +224,19 @@
       });
     }
 
+    /**
+     * Sold-out sizes open the product with that size selected and the restock signup showing
+     */
+    notifyWhenAvailable(btn) {
+      const { productUrl, variantId } = btn.dataset;
+
+      if (this.quickView.modal) {
+        this.quickView.open(productUrl, variantId, btn);
+      } else {
+        window.location.href = `${productUrl}?variant=${variantId}`;
+      }
+    }
+
     async addToCart(variantId, btn) {
       if (btn.classList.contains('is-adding')) return;
 
@@ -419,42 +244,133 @@
       const originalText = btn.textContent;
 
       try {
-        const response = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ id: variantId, quantity: 1 })
-        });
+        await window.cartStore.add({ id: variantId, quantity: 1 });
 
-        if (response.ok) {
-          btn.classList.remove('is-adding');
-          btn.classList.add('is-added');
-
-          // Update cart count
-          document.querySelectorAll('[data-cart-count]').forEach(el => {
-            fetch('/cart.js')
-              .then(r => r.json())
-              .then(cart => {
-                el.textContent = cart.item_count;
-                el.hidden = cart.item_count === 0;
-              });
-          });
+        btn.classList.remove('is-adding');
+        btn.classList.add('is-added');
 
-          // Open cart drawer
-          document.dispatchEvent(new CustomEvent('milutin:cart:open'));
+        // Open cart drawer
+        document.dispatchEvent(new CustomEvent('milutin:cart:open'));
 
-          setTimeout(() => {
-            btn.classList.remove('is-added');
-          }, 2000);
-        } else {
-          throw new Error('Failed to add');
-        }
+        setTimeout(() => {
+          btn.classList.remove('is-added');
+        }, 2000);
       } catch (error) {
         console.error('Quick add error:', error);
         btn.classList.remove('is-adding');
+
+        document.dispatchEvent(new CustomEvent('milutin:toast:show', {
+          detail: {
+            variant: 'error',
+            message: error.data?.description || window.i18n.t('cartError')
+          }
+        }));
       }
     }
   }
 
+  /**
+   * Card Swatches
+   * Hovering or tapping a colour swatch shows that colour's image and points
+   * the quick-add sizes at its variants
+   */
+  class CardSwatches {
+    constructor() {
+      this.variants = new WeakMap();
+      this.init();
+    }
+
+    init() {
+      document.addEventListener('pointerover', (e) => {
+        if (e.pointerType !== 'mouse') return;
+
+        const swatch = e.target.closest('[data-card-swatch]');
+        if (swatch) this.select(swatch);
+      });
+
+      // Taps and keyboard
+      document.addEventListener('click', (e) => {
+        const swatch = e.target.closest('[data-card-swatch]');
+        if (swatch) this.select(swatch);
+      });
+    }
+
+    select(swatch) {
+      const card = swatch.closest('[data-product-card]');
+      if (!card || swatch.getAttribute('aria-pressed') === 'true') return;
+
+      card.querySelectorAll('[data-card-swatch]').forEach((item) => {
+        item.setAttribute('aria-pressed', String(item === swatch));
+      });
+      card.classList.add('is-swatch-selected');
+
+      this.updateImage(card, swatch);
+      this.updateLinks(card, swatch);
+      this.updateSizes(card, swatch.dataset.optionValue);
+    }
+
+    updateImage(card, swatch) {
+      const { imageSrc, imageSrcset, imageAlt } = swatch.dataset;
+      const image = card.querySelector('.product-card__image--primary');
+      if (!image || !imageSrc) return;
+
+      image.src = imageSrc;
+      image.srcset = imageSrcset;
+      image.alt = imageAlt;
+    }
+
+    updateLinks(card, swatch) {
+      if (!swatch.dataset.variantUrl) return;
+
+      card.querySelectorAll('.product-card__media-link, .product-card__link').forEach((link) => {
+        link.href = swatch.dataset.variantUrl;
+      });
+    }
+
+    /**
+     * Sizes this colour doesn't come in are hidden, sold-out ones offer the restock signup
+     */
+    updateSizes(card, color) {
+      const variants = this.getVariants(card);
+      if (!variants) return;
+
+      const colorIndex = Number(card.dataset.colorIndex);
+      const sizeIndex = Number(card.dataset.sizeIndex);
+
+      card.querySelectorAll('[data-quick-add-size]').forEach((btn) => {
+        const size = btn.dataset.sizeValue;
+        const matches = variants.filter((v) => v.options[colorIndex] === color && v.options[sizeIndex] === size);
+        const variant = matches.find((v) => v.available) || matches[0];
+
+        btn.hidden = !variant;
+        if (!variant) return;
+
+        btn.dataset.variantId = variant.id;
+        btn.classList.toggle('product-card__size--sold-out', !variant.available);
+        btn.toggleAttribute('data-back-in-stock', !variant.available);
+        btn.dataset.productUrl = card.dataset.productUrl;
+        btn.setAttribute('aria-label', window.i18n.t(variant.available ? 'addSize' : 'backInStockNotifySize', { size }));
+      });
+    }
+
+    getVariants(card) {
+      if (!this.variants.has(card)) {
+        const script = card.querySelector('[data-card-variants]');
+        let variants = null;
+
+        try {
+          variants = script ? JSON.parse(script.textContent) : null;
+        } catch (e) {
+          console.error('Invalid card variants:', e);
+        }
+
+        this.variants.set(card, variants);
+      }
+
+      return this.variants.get(card);
+    }
+  }
+
   /**
    * Recently Viewed Products
    * Tracks product views in localStorage
@@ -479,7 +395,8 @@
           title: product.title,
           url: window.location.pathname,
           image: product.featured_image,
-          price: this.formatMoney(product.price)
+          price: window.money.format(product.price),
+          currency: window.money.getCurrency()
         });
       } catch (e) {
         // Try alternative method using meta tags or URL
@@ -492,7 +409,14 @@
         const price = document.querySelector('[data-product-price]')?.textContent?.trim();
 
         if (handle && title) {
-          this.addProduct({ handle, title, url, image: image || '', price: price || '' });
+          this.addProduct({
+            handle,
+            title,
+            url,
+            image: image || '',
+            price: price || '',
+            currency: window.money.getCurrency()
+          });
         }
       }
     }
@@ -527,19 +451,15 @@
         console.error('Failed to save recently viewed:', e);
       }
     }
-
-    formatMoney(cents) {
-      return (cents / 100).toFixed(2) + ' RSD';
-    }
   }
 
   /**
    * Initialize
    */
   function init() {
-    window.wishlist = new WishlistManager();
-    new QuickViewModal();
-    new QuickAdd();
+    const quickView = new QuickViewModal();
+    new QuickAdd(quickView);
+    new CardSwatches();
     new RecentlyViewed();
   }
 
@@ -6,38 +6,131 @@
 (function() {
   'use strict';
 
+  /**
+   * Line Errors
+   * Shared by drawer and page when /cart/change.js rejects a quantity
+   */
+  const lineErrors = {
+    /**
+     * Highest quantity the line can hold, when inventory is tracked.
+     * No stock left is null too: snapping to 0 would quietly remove the line.
+     */
+    getMaxQuantity(line) {
+      const max = parseInt(line?.getAttribute('data-max-quantity'));
+      return max > 0 ? max : null;
+    },
+
+    getMessage(error) {
+      return error.data?.description || window.i18n.t('cartError');
+    },
+
+    getMaxQuantityMessage(max) {
+      return window.i18n.t('cartMaxQuantity', { quantity: max });
+    },
+
+    show(line, liveRegion, messages) {
+      const errorEl = line?.querySelector('[data-line-error]');
+      const text = messages.filter(Boolean).join(' ');
+
+      if (errorEl) {
+        errorEl.textContent = text;
+        errorEl.hidden = false;
+      }
+
+      // Cleared first so repeating the same message is announced again
+      if (liveRegion) {
+        liveRegion.textContent = '';
+        setTimeout(() => {
+          liveRegion.textContent = text;
+        }, 100);
+      }
+    }
+  };
+
+  /**
+   * Free Shipping Bar
+   * Recalculates every [data-free-shipping-bar] from the cart snapshot
+   */
+  class FreeShippingBar {
+    constructor() {
+      window.cartStore.subscribe(() => this.update());
+      this.update();
+    }
+
+    update() {
+      const cart = window.cartStore.getCart();
+      if (!cart) return;
+
+      document.querySelectorAll('[data-free-shipping-bar]').forEach((bar) => {
+        this.render(bar, cart.total_price);
+      });
+    }
+
+    render(bar, total) {
+      const threshold = this.getThreshold(bar);
+      if (!threshold) return;
+
+      const remaining = threshold - total;
+      const progress = Math.min(100, Math.floor((total / threshold) * 100));
+
+      const message = bar.querySelector('[data-free-shipping-message]');
+      if (message) {
+        message.textContent = remaining > 0
+          ? bar.getAttribute('data-remaining-template').replace('[amount]', window.money.format(remaining))
+          : bar.getAttribute('data-reached-text');
+      }
+
+      bar.querySelector('[data-free-shipping-fill]')?.style.setProperty('width', `${progress}%`);
+      bar.querySelector('[data-free-shipping-track]')?.setAttribute('aria-valuenow', progress);
+      bar.classList.toggle('free-shipping-bar--reached', remaining <= 0);
+    }
+
+    /**
+     * Threshold is set in the shop currency, the cart is in the presentment currency
+     */
+    getThreshold(bar) {
+      const threshold = parseInt(bar.getAttribute('data-threshold'));
+      const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+      return Math.round(threshold * rate);
+    }
+  }
+
   /**
    * Cart Drawer
    */
   class CartDrawer {
-    constructor() {
+    constructor(freeShippingBar) {
       this.drawer = document.querySelector('[data-cart-drawer]');
       if (!this.drawer) return;
 
-      this.overlay = this.drawer.querySelector('[data-cart-drawer-overlay]');
-      this.closeBtn = this.drawer.querySelector('[data-cart-drawer-close]');
+      this.freeShippingBar = freeShippingBar;
+      this.recommendationsCache = new Map();
+
       this.content = this.drawer.querySelector('[data-cart-drawer-content]');
 
       this.init();
     }
 
     init() {
-      // Close button
-      this.closeBtn?.addEventListener('click', () => this.close());
+      // Listen for cart open event (from product page add to cart)
+      document.addEventListener('milutin:cart:open', () => this.open());
 
-      // Overlay click
-      this.overlay?.addEventListener('click', () => this.close());
+      // Re-render when a cart change came back with the drawer section attached,
+      // or fetch it if lines changed elsewhere while the drawer is open
+      window.cartStore.subscribe((cart, detail) => {
+        // Recommendations exclude products in the cart
+        if (detail.linesChanged) {
+          this.recommendationsCache.clear();
+        }
 
-      // Escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen()) {
-          this.close();
+        const html = detail.sections?.['cart-drawer'];
+        if (html) {
+          this.renderSection(html);
+        } else if (detail.linesChanged && this.isOpen()) {
+          this.refresh();
         }
       });
 
-      // Listen for cart open event (from product page add to cart)
-      document.addEventListener('milutin:cart:open', () => this.open());
-
       // Cart icon click
       document.querySelectorAll('[data-cart-toggle]').forEach((btn) => {
         btn.addEventListener('click', (e) => {
@@ -51,25 +144,22 @@
     }
 
     isOpen() {
-      return this.drawer.getAttribute('aria-hidden') === 'false';
+      return this.drawer.isOpen();
     }
 
+    /**
+     * The drawer is a <milutin-dialog>, which handles focus, Escape and closing
+     */
     open() {
-      this.drawer.setAttribute('aria-hidden', 'false');
-      document.body.classList.add('cart-drawer-open');
+      // Already open, e.g. after a quick add from the recommendations
+      if (this.isOpen()) return;
 
-      // Focus close button
-      this.closeBtn?.focus();
+      this.drawer.show();
 
       // Refresh cart content
       this.refresh();
     }
 
-    close() {
-      this.drawer.setAttribute('aria-hidden', 'true');
-      document.body.classList.remove('cart-drawer-open');
-    }
-
     setupDrawerControls() {
       // Quantity minus
       this.drawer.addEventListener('click', async (e) => {
@@ -109,84 +199,198 @@
           await this.removeItem(lineKey);
         }
       });
+
+      // Move to wishlist
+      this.drawer.addEventListener('click', async (e) => {
+        const moveBtn = e.target.closest('[data-move-to-wishlist]');
+        if (moveBtn && window.wishlist) {
+          await this.moveToWishlist(moveBtn);
+        }
+      });
+    }
+
+    /**
+     * Take the line out of the cart, then save its variant to the wishlist.
+     * If the cart change fails the line stays where it is and nothing is saved.
+     */
+    async moveToWishlist(btn) {
+      const product = window.wishlist.fromElement(btn);
+      const removed = await this.removeItem(btn.getAttribute('data-line-key'));
+
+      if (!removed) {
+        document.dispatchEvent(new CustomEvent('milutin:toast:show', {
+          detail: { variant: 'error', message: window.i18n.t('cartError') }
+        }));
+        return;
+      }
+
+      window.wishlist.add(product);
+
+      document.dispatchEvent(new CustomEvent('milutin:toast:show', {
+        detail: {
+          variant: 'success',
+          message: window.i18n.t('movedToWishlist', { title: product.title })
+        }
+      }));
     }
 
+    /**
+     * Resolves true once the cart has the new quantity, false when the change failed
+     */
     async updateItem(lineKey, quantity) {
       this.setLoading(true);
 
       try {
-        const response = await fetch('/cart/change.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            id: lineKey,
-            quantity: quantity
-          })
-        });
-
-        if (response.ok) {
-          await this.refresh();
-          this.updateHeaderCount();
-        }
+        // The drawer re-renders from the section returned with the change
+        await window.cartStore.change(
+          { id: lineKey, quantity: quantity },
+          { sections: ['cart-drawer'] }
+        );
+        return true;
       } catch (error) {
-        console.error('Error updating cart:', error);
+        if (error.status === 422) {
+          await this.handleLineError(lineKey, error);
+        } else {
+          console.error('Error updating cart:', error);
+        }
+        return false;
       } finally {
         this.setLoading(false);
       }
     }
 
+    /**
+     * Snap the line to the stock limit, then explain why
+     */
+    async handleLineError(lineKey, error) {
+      const max = lineErrors.getMaxQuantity(this.getLine(lineKey));
+      const cartItem = window.cartStore.getCart()?.items.find((item) => item.key === lineKey);
+      let snapped = false;
+
+      if (max !== null && max !== cartItem?.quantity) {
+        try {
+          await window.cartStore.change({ id: lineKey, quantity: max }, { sections: ['cart-drawer'] });
+          snapped = true;
+        } catch (snapError) {
+          console.error('Error updating cart:', snapError);
+        }
+      }
+
+      lineErrors.show(this.getLine(lineKey), this.drawer.querySelector('[data-cart-live-region]'), [
+        lineErrors.getMessage(error),
+        snapped ? lineErrors.getMaxQuantityMessage(max) : ''
+      ]);
+    }
+
+    getLine(lineKey) {
+      return this.drawer.querySelector(`[data-cart-drawer-item][data-line-key="${CSS.escape(lineKey)}"]`);
+    }
+
     async removeItem(lineKey) {
-      await this.updateItem(lineKey, 0);
+      return this.updateItem(lineKey, 0);
     }
 
     async refresh() {
       try {
         // Fetch the cart drawer section
         const response = await fetch('/?section_id=cart-drawer');
-        const html = await response.text();
-
-        // Parse the response
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Get the new drawer content
-        const newDrawer = doc.querySelector('[data-cart-drawer]');
-        if (newDrawer && this.drawer) {
-          // Replace drawer panel content
-          const newPanel = newDrawer.querySelector('.cart-drawer__panel');
-          const currentPanel = this.drawer.querySelector('.cart-drawer__panel');
-          if (newPanel && currentPanel) {
-            currentPanel.innerHTML = newPanel.innerHTML;
-          }
+        this.renderSection(await response.text());
+      } catch (error) {
+        console.error('Error refreshing cart:', error);
+      }
+    }
+
+    renderSection(html) {
+      if (!html) return;
+
+      // Parse the response
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+
+      // Get the new drawer content
+      const newDrawer = doc.querySelector('[data-cart-drawer]');
+      if (newDrawer && this.drawer) {
+        // Replace drawer panel content
+        const newPanel = newDrawer.querySelector('.cart-drawer__panel');
+        const currentPanel = this.drawer.querySelector('.cart-drawer__panel');
+        if (newPanel && currentPanel) {
+          currentPanel.innerHTML = newPanel.innerHTML;
+        }
+
+        this.freeShippingBar?.update();
+        this.loadRecommendations();
+      }
+    }
+
+    /**
+     * Complementary products for the first few cart products, merged and
+     * deduped, falling back to the merchant's collection
+     */
+    async loadRecommendations() {
+      const block = this.drawer.querySelector('[data-cart-recommendations]');
+      if (!block) return;
+
+      const url = block.getAttribute('data-url');
+      const productIds = block.getAttribute('data-product-ids').split(',').filter(Boolean);
+      const limit = parseInt(block.getAttribute('data-limit')) || 3;
 
-          // Re-bind close button
-          this.closeBtn = this.drawer.querySelector('[data-cart-drawer-close]');
-          this.closeBtn?.addEventListener('click', () => this.close());
+      const results = await Promise.all(productIds.map((id) => this.fetchRecommendations(`${url}&product_id=${id}`)));
+      let list = this.mergeRecommendations(results);
+
+      if (list.children.length === 0) {
+        list = block.querySelector('[data-cart-recommendations-fallback]')?.content.querySelector('ul')?.cloneNode(true);
+      }
+
+      // The drawer may have re-rendered while the requests were in flight
+      if (!block.isConnected || !list || list.children.length === 0) return;
+
+      Array.from(list.children).slice(limit).forEach((item) => item.remove());
+      block.querySelector('[data-cart-recommendations-container]').replaceChildren(list);
+      block.hidden = false;
+    }
+
+    /**
+     * Recommended items for one cart product; the section already skips products in the cart
+     */
+    async fetchRecommendations(url) {
+      try {
+        if (!this.recommendationsCache.has(url)) {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`Recommendations failed: ${response.status}`);
+          this.recommendationsCache.set(url, await response.text());
         }
 
-        // Update header cart count
-        this.updateHeaderCount();
+        const doc = new DOMParser().parseFromString(this.recommendationsCache.get(url), 'text/html');
+        return Array.from(doc.querySelectorAll('[data-cart-recommendations-results] [data-cart-recommendation]'));
       } catch (error) {
-        console.error('Error refreshing cart:', error);
+        console.error('Error loading recommendations:', error);
+        return [];
       }
     }
 
-    updateHeaderCount() {
-      fetch('/cart.js')
-        .then(response => response.json())
-        .then(cart => {
-          document.querySelectorAll('[data-cart-count]').forEach((el) => {
-            el.textContent = cart.item_count;
-            el.hidden = cart.item_count === 0;
-          });
+    /**
+     * Take each cart product's best match first, then the next ones, skipping repeats
+     */
+    mergeRecommendations(results) {
+      const list = document.createElement('ul');
+      list.className = 'cart-recommendations__list';
+      list.setAttribute('role', 'list');
+
+      const seen = new Set();
+      const longest = Math.max(0, ...results.map((items) => items.length));
+
+      for (let i = 0; i < longest; i++) {
+        results.forEach((items) => {
+          const item = items[i];
+          const productId = item?.getAttribute('data-product-id');
+          if (!item || seen.has(productId)) return;
+
+          seen.add(productId);
+          list.appendChild(document.adoptNode(item));
         });
-    }
+      }
 
-    formatMoney(cents) {
-      const amount = (cents / 100).toFixed(2);
-      return `${amount} RSD`;
+      return list;
     }
 
     setLoading(loading) {
@@ -196,105 +400,463 @@
 
   /**
    * Cart Page
+   * Re-renders the main-cart section in place via the Section Rendering API
    */
   class CartPage {
-    constructor() {
-      this.form = document.querySelector('[data-cart-form]');
-      if (!this.form) return;
+    constructor(freeShippingBar) {
+      this.container = document.querySelector('[data-cart-page]');
+      if (!this.container) return;
+
+      this.freeShippingBar = freeShippingBar;
+      this.sectionId = this.container.getAttribute('data-section-id');
+      this.debounceDelay = 300;
+      this.pendingQuantities = new Map();
+      this.debounceTimers = new Map();
 
       this.init();
     }
 
     init() {
-      // Quantity buttons
-      this.form.querySelectorAll('[data-quantity-minus]').forEach((btn) => {
-        btn.addEventListener('click', () => {
-          const item = btn.closest('[data-cart-item]');
-          const input = item?.querySelector('[data-quantity-input]');
-          if (input) {
-            const currentValue = parseInt(input.value) || 1;
-            if (currentValue > 1) {
-              input.value = currentValue - 1;
-              this.updateCart(input);
-            }
-          }
-        });
-      });
+      // Delegated so controls keep working after every re-render
+      this.container.addEventListener('click', (e) => {
+        const minusBtn = e.target.closest('[data-quantity-minus]');
+        const plusBtn = e.target.closest('[data-quantity-plus]');
+        const removeBtn = e.target.closest('[data-remove-item]');
 
-      this.form.querySelectorAll('[data-quantity-plus]').forEach((btn) => {
-        btn.addEventListener('click', () => {
-          const item = btn.closest('[data-cart-item]');
-          const input = item?.querySelector('[data-quantity-input]');
-          if (input) {
-            const currentValue = parseInt(input.value) || 1;
-            input.value = currentValue + 1;
-            this.updateCart(input);
-          }
-        });
+        if (minusBtn) {
+          this.stepQuantity(minusBtn, -1);
+        } else if (plusBtn) {
+          this.stepQuantity(plusBtn, 1);
+        } else if (removeBtn) {
+          const item = removeBtn.closest('[data-cart-item]');
+          this.updateLine(item.getAttribute('data-line-key'), 0);
+        }
       });
 
       // Quantity input change
-      this.form.querySelectorAll('[data-quantity-input]').forEach((input) => {
-        input.addEventListener('change', () => {
-          const value = parseInt(input.value) || 0;
-          input.value = Math.max(0, value);
-          this.updateCart(input);
-        });
+      this.container.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-quantity-input]');
+        if (!input) return;
+
+        const value = parseInt(input.value) || 0;
+        input.value = Math.max(0, value);
+        this.queueUpdate(input.closest('[data-cart-item]').getAttribute('data-line-key'), input.value);
       });
 
-      // Remove buttons
-      this.form.querySelectorAll('[data-remove-item]').forEach((btn) => {
-        btn.addEventListener('click', () => {
-          const lineIndex = btn.getAttribute('data-line-index');
-          this.removeItem(lineIndex);
-        });
+      // Changes made elsewhere (cart drawer, quick add) arrive without this section
+      window.cartStore.subscribe((cart, detail) => {
+        const html = detail.sections?.[this.sectionId];
+        if (html) {
+          this.renderSection(html);
+        } else if (detail.linesChanged) {
+          this.refresh();
+        }
       });
     }
 
-    async updateCart(input) {
-      const lineIndex = input.getAttribute('data-line-index');
-      const quantity = parseInt(input.value) || 0;
+    stepQuantity(button, step) {
+      const item = button.closest('[data-cart-item]');
+      const input = item?.querySelector('[data-quantity-input]');
+      if (!input) return;
+
+      const currentValue = parseInt(input.value) || 1;
+      if (step < 0 && currentValue <= 1) return;
+
+      input.value = currentValue + step;
+      this.queueUpdate(item.getAttribute('data-line-key'), input.value);
+    }
+
+    /**
+     * Collapse rapid +/- clicks on a line into a single request
+     */
+    queueUpdate(lineKey, quantity) {
+      this.pendingQuantities.set(lineKey, parseInt(quantity));
+      clearTimeout(this.debounceTimers.get(lineKey));
+
+      this.debounceTimers.set(lineKey, setTimeout(() => {
+        this.updateLine(lineKey, this.pendingQuantities.get(lineKey));
+      }, this.debounceDelay));
+    }
+
+    async updateLine(lineKey, quantity) {
+      clearTimeout(this.debounceTimers.get(lineKey));
+      this.debounceTimers.delete(lineKey);
+      this.pendingQuantities.delete(lineKey);
+
+      this.setLoading(true);
 
       try {
-        const response = await fetch('/cart/change.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            line: lineIndex,
-            quantity: quantity
-          })
-        });
+        // The page re-renders from the section returned with the change
+        await window.cartStore.change(
+          { id: lineKey, quantity: quantity },
+          { sections: [this.sectionId] }
+        );
+      } catch (error) {
+        if (error.status === 422) {
+          await this.handleLineError(lineKey, error);
+        } else {
+          console.error('Error updating cart:', error);
+        }
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    /**
+     * Snap the line to the stock limit, or back to what the cart holds, then explain why
+     */
+    async handleLineError(lineKey, error) {
+      const max = lineErrors.getMaxQuantity(this.getLine(lineKey));
+      const cartItem = window.cartStore.getCart()?.items.find((item) => item.key === lineKey);
+      let snapped = false;
+
+      if (max !== null && max !== cartItem?.quantity) {
+        try {
+          await window.cartStore.change({ id: lineKey, quantity: max }, { sections: [this.sectionId] });
+          snapped = true;
+        } catch (snapError) {
+          console.error('Error updating cart:', snapError);
+        }
+      }
+
+      const input = this.getLine(lineKey)?.querySelector('[data-quantity-input]');
+      if (input && !snapped && cartItem) {
+        input.value = cartItem.quantity;
+      }
+
+      lineErrors.show(this.getLine(lineKey), this.container.querySelector('[data-cart-live-region]'), [
+        lineErrors.getMessage(error),
+        snapped ? lineErrors.getMaxQuantityMessage(max) : ''
+      ]);
+    }
+
+    async refresh() {
+      try {
+        const response = await fetch(`${window.location.pathname}?section_id=${this.sectionId}`);
+        this.renderSection(await response.text());
+      } catch (error) {
+        console.error('Error refreshing cart:', error);
+      }
+    }
+
+    renderSection(html) {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+      const newContainer = doc.querySelector('[data-cart-page]');
+      if (!newContainer) return;
+
+      const focus = this.getFocusedControl();
+      const newItems = newContainer.querySelector('[data-cart-items]');
+      const currentItems = this.container.querySelector('[data-cart-items]');
+
+      if (newItems && currentItems) {
+        // Swap only items and summary so an order note being typed survives
+        currentItems.innerHTML = newItems.innerHTML;
 
-        if (response.ok) {
-          // Reload to show updated cart
-          location.reload();
+        const newSummary = newContainer.querySelector('[data-cart-summary]');
+        const currentSummary = this.container.querySelector('[data-cart-summary]');
+        if (newSummary && currentSummary) {
+          currentSummary.innerHTML = newSummary.innerHTML;
         }
+      } else {
+        // Switching to or from the empty state
+        this.container.innerHTML = newContainer.innerHTML;
+      }
+
+      this.restorePendingQuantities();
+      this.freeShippingBar?.update();
+      this.restoreFocus(focus);
+    }
+
+    restorePendingQuantities() {
+      this.pendingQuantities.forEach((quantity, lineKey) => {
+        const input = this.getLine(lineKey)?.querySelector('[data-quantity-input]');
+        if (input) input.value = quantity;
+      });
+    }
+
+    getFocusedControl() {
+      const active = document.activeElement;
+      if (!active || !this.container.contains(active)) return null;
+
+      const item = active.closest('[data-cart-item]');
+      const control = ['data-quantity-minus', 'data-quantity-plus', 'data-quantity-input', 'data-remove-item']
+        .find((attribute) => active.hasAttribute(attribute));
+
+      return item && control ? { lineKey: item.getAttribute('data-line-key'), control } : null;
+    }
+
+    restoreFocus(focus) {
+      if (!focus) return;
+
+      const control = this.getLine(focus.lineKey)?.querySelector(`[${focus.control}]`);
+
+      // The line was removed, keep focus inside the cart
+      (control || this.container.querySelector('[data-cart-title]'))?.focus();
+    }
+
+    getLine(lineKey) {
+      return this.container.querySelector(`[data-cart-item][data-line-key="${CSS.escape(lineKey)}"]`);
+    }
+
+    setLoading(loading) {
+      this.container.classList.toggle('cart-page--loading', loading);
+    }
+  }
+
+  /**
+   * Cart Attributes
+   * Autosaves order note, delivery date and gift wrap from the drawer and the cart page
+   */
+  class CartAttributes {
+    constructor() {
+      this.debounceDelay = 600;
+      this.debounceTimers = new Map();
+
+      this.init();
+    }
+
+    init() {
+      // Delegated on document because both the drawer and the page re-render
+      document.addEventListener('input', (e) => {
+        const note = e.target.closest('[data-cart-attributes] [data-cart-note]');
+        if (note) {
+          this.queueSave('note', note, { note: note.value });
+        }
+      });
+
+      document.addEventListener('change', (e) => {
+        const attribute = e.target.closest('[data-cart-attributes] [data-cart-attribute]');
+        if (attribute) {
+          const name = attribute.getAttribute('data-cart-attribute');
+          this.queueSave(name, attribute, { attributes: { [name]: attribute.value } });
+        }
+
+        const giftWrap = e.target.closest('[data-cart-attributes] [data-gift-wrap-toggle]');
+        if (giftWrap) {
+          this.toggleGiftWrap(giftWrap);
+        }
+      });
+
+      // Mirror values saved from the other location
+      window.cartStore.subscribe((cart) => this.sync(cart));
+    }
+
+    queueSave(key, field, payload) {
+      clearTimeout(this.debounceTimers.get(key));
+      this.setStatus(field, window.i18n.t('cartSaving'));
+
+      this.debounceTimers.set(key, setTimeout(() => this.save(field, payload), this.debounceDelay));
+    }
+
+    async save(field, payload) {
+      try {
+        await window.cartStore.update(payload);
+        this.setStatus(field, window.i18n.t('cartSaved'));
       } catch (error) {
-        console.error('Error updating cart:', error);
+        console.error('Error saving cart attributes:', error);
+        this.setStatus(field, window.i18n.t('cartError'));
       }
     }
 
-    async removeItem(lineIndex) {
+    async toggleGiftWrap(checkbox) {
+      const variantId = parseInt(checkbox.getAttribute('data-variant-id'));
+      checkbox.disabled = true;
+
       try {
-        const response = await fetch('/cart/change.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            line: lineIndex,
-            quantity: 0
-          })
+        const line = this.getGiftWrapLine(variantId);
+
+        if (checkbox.checked && !line) {
+          await window.cartStore.add({ id: variantId, quantity: 1 });
+        } else if (!checkbox.checked && line) {
+          await window.cartStore.change({ id: line.key, quantity: 0 });
+        }
+      } catch (error) {
+        console.error('Error updating gift wrap:', error);
+        checkbox.checked = !checkbox.checked;
+        this.setStatus(checkbox, error.data?.description || window.i18n.t('cartError'));
+      } finally {
+        checkbox.disabled = false;
+      }
+    }
+
+    getGiftWrapLine(variantId) {
+      return window.cartStore.getCart()?.items.find((item) => item.variant_id === variantId);
+    }
+
+    sync(cart) {
+      document.querySelectorAll('[data-cart-attributes]').forEach((container) => {
+        container.querySelectorAll('[data-cart-note]').forEach((note) => {
+          if (note !== document.activeElement) note.value = cart.note || '';
         });
 
-        if (response.ok) {
-          location.reload();
+        container.querySelectorAll('[data-cart-attribute]').forEach((field) => {
+          if (field !== document.activeElement) {
+            field.value = cart.attributes?.[field.getAttribute('data-cart-attribute')] || '';
+          }
+        });
+
+        container.querySelectorAll('[data-gift-wrap-toggle]').forEach((checkbox) => {
+          checkbox.checked = Boolean(this.getGiftWrapLine(parseInt(checkbox.getAttribute('data-variant-id'))));
+        });
+      });
+    }
+
+    setStatus(field, message) {
+      const status = field.closest('[data-cart-attributes]')?.querySelector('[data-cart-attributes-status]');
+      if (status) status.textContent = message;
+    }
+  }
+
+  /**
+   * Cart Discount
+   * Applies and removes discount codes in the drawer and on the cart page
+   */
+  class CartDiscount {
+    constructor() {
+      this.init();
+    }
+
+    init() {
+      document.addEventListener('click', (e) => {
+        const applyBtn = e.target.closest('[data-cart-discount] [data-cart-discount-apply]');
+        if (applyBtn) {
+          this.apply(applyBtn.closest('[data-cart-discount]'));
+        }
+
+        const removeBtn = e.target.closest('[data-cart-discount] [data-discount-remove]');
+        if (removeBtn) {
+          this.remove(removeBtn.closest('[data-cart-discount]'), removeBtn.getAttribute('data-discount-remove'));
+        }
+      });
+
+      // Enter applies the code instead of submitting the surrounding cart form
+      document.addEventListener('keydown', (e) => {
+        const input = e.target.closest('[data-cart-discount] [data-cart-discount-input]');
+        if (input && e.key === 'Enter') {
+          e.preventDefault();
+          this.apply(input.closest('[data-cart-discount]'));
+        }
+      });
+    }
+
+    async apply(container) {
+      const context = container.getAttribute('data-cart-discount');
+      const input = container.querySelector('[data-cart-discount-input]');
+      const code = input.value.trim();
+
+      if (!code) {
+        this.showMessage(context, window.i18n.t('discountEmpty'), true);
+        return;
+      }
+
+      const appliedCodes = this.getAppliedCodes(container);
+      if (appliedCodes.some((applied) => applied.toLowerCase() === code.toLowerCase())) {
+        input.value = '';
+        return;
+      }
+
+      this.setLoading(container, true);
+
+      try {
+        const cart = await window.cartStore.update(
+          { discount: [...appliedCodes, code].join(',') },
+          { sections: this.getSections() }
+        );
+        const result = cart.discount_codes?.find((discount) => discount.code.toLowerCase() === code.toLowerCase());
+
+        if (result?.applicable) {
+          this.showMessage(context, window.i18n.t('discountApplied', { code }));
+          return;
         }
+
+        // Shopify keeps rejected codes on the cart, so put the previous codes back
+        await window.cartStore.update({ discount: appliedCodes.join(',') });
+
+        const message = window.i18n.t(result ? 'discountNotApplicable' : 'discountInvalid', { code });
+        this.showMessage(context, message, true, code);
       } catch (error) {
-        console.error('Error removing item:', error);
+        console.error('Error applying discount:', error);
+        this.showMessage(context, window.i18n.t('cartError'), true, code);
+      } finally {
+        this.setLoading(this.getContainer(context), false);
+        this.getContainer(context)?.querySelector('[data-cart-discount-input]')?.focus();
+      }
+    }
+
+    async remove(container, code) {
+      const context = container.getAttribute('data-cart-discount');
+      const remainingCodes = this.getAppliedCodes(container).filter((applied) => applied !== code);
+
+      this.setLoading(container, true);
+
+      try {
+        await window.cartStore.update(
+          { discount: remainingCodes.join(',') },
+          { sections: this.getSections() }
+        );
+        this.showMessage(context, window.i18n.t('discountRemoved', { code }));
+      } catch (error) {
+        console.error('Error removing discount:', error);
+        this.showMessage(context, window.i18n.t('cartError'), true);
+      } finally {
+        this.setLoading(this.getContainer(context), false);
+        this.getContainer(context)?.querySelector('[data-cart-discount-input]')?.focus();
+      }
+    }
+
+    getAppliedCodes(container) {
+      return Array.from(container.querySelectorAll('[data-discount-code]'))
+        .map((el) => el.getAttribute('data-discount-code'));
+    }
+
+    /**
+     * Re-render every cart view on the page in the same request
+     */
+    getSections() {
+      const sections = [];
+
+      if (document.querySelector('[data-cart-drawer]')) {
+        sections.push('cart-drawer');
       }
+
+      const cartPage = document.querySelector('[data-cart-page]');
+      if (cartPage) {
+        sections.push(cartPage.getAttribute('data-section-id'));
+      }
+
+      return sections;
+    }
+
+    // Containers are replaced by re-renders, so always look them up again
+    getContainer(context) {
+      return document.querySelector(`[data-cart-discount="${context}"]`);
+    }
+
+    /**
+     * @param {string} context - 'drawer' or 'page'
+     * @param {string} message
+     * @param {boolean} [isError]
+     * @param {string} [code] - Kept in the input so the shopper can correct it
+     */
+    showMessage(context, message, isError = false, code = '') {
+      const container = this.getContainer(context);
+      if (!container) return;
+
+      const messageEl = container.querySelector('[data-cart-discount-message]');
+      messageEl.textContent = message;
+      messageEl.classList.toggle('cart-discount__message--error', isError);
+
+      const input = container.querySelector('[data-cart-discount-input]');
+      input.value = code;
+      input.setAttribute('aria-invalid', isError ? 'true' : 'false');
+    }
+
+    setLoading(container, loading) {
+      container?.classList.toggle('cart-discount--loading', loading);
+      container?.querySelectorAll('button, input').forEach((el) => {
+        el.disabled = loading;
+      });
     }
   }
 
@@ -302,8 +864,12 @@
    * Initialize
    */
   function init() {
-    new CartDrawer();
-    new CartPage();
+    const freeShippingBar = new FreeShippingBar();
+
+    new CartDrawer(freeShippingBar);
+    new CartPage(freeShippingBar);
+    new CartAttributes();
+    new CartDiscount();
   }
 
   if (document.readyState === 'loading') {
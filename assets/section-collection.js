@@ -14,8 +14,6 @@
       this.drawer = document.querySelector('[data-filters-drawer]');
       if (!this.drawer) return;
 
-      this.overlay = this.drawer.querySelector('[data-filters-overlay]');
-      this.closeBtn = this.drawer.querySelector('[data-filters-close]');
       this.toggleBtn = document.querySelector('[data-filter-toggle]');
       this.form = this.drawer.querySelector('[data-filters-form]');
 
@@ -23,42 +21,20 @@
     }
 
     init() {
-      this.toggleBtn?.addEventListener('click', () => this.open());
-      this.closeBtn?.addEventListener('click', () => this.close());
-      this.overlay?.addEventListener('click', () => this.close());
-
-      // Escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen()) {
-          this.close();
-        }
+      // The drawer is a <milutin-dialog>, which handles focus, Escape and closing
+      this.toggleBtn?.addEventListener('click', () => this.drawer.show(this.toggleBtn));
+
+      this.drawer.addEventListener('milutin:dialog:open', () => {
+        this.toggleBtn?.setAttribute('aria-expanded', 'true');
+      });
+      this.drawer.addEventListener('milutin:dialog:close', () => {
+        this.toggleBtn?.setAttribute('aria-expanded', 'false');
       });
 
       // Form submit
       this.form?.addEventListener('submit', (e) => this.handleSubmit(e));
     }
 
-    isOpen() {
-      return this.drawer.getAttribute('aria-hidden') === 'false';
-    }
-
-    open() {
-      this.drawer.setAttribute('aria-hidden', 'false');
-      this.toggleBtn?.setAttribute('aria-expanded', 'true');
-      document.body.classList.add('filters-open');
-
-      // Focus first focusable element
-      const firstFocusable = this.drawer.querySelector('button, [href], input, select');
-      firstFocusable?.focus();
-    }
-
-    close() {
-      this.drawer.setAttribute('aria-hidden', 'true');
-      this.toggleBtn?.setAttribute('aria-expanded', 'false');
-      document.body.classList.remove('filters-open');
-      this.toggleBtn?.focus();
-    }
-
     handleSubmit(e) {
       e.preventDefault();
       const formData = new FormData(this.form);
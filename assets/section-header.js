@@ -10,8 +10,6 @@ class HeaderComponent extends HTMLElement {
     this.header = this.querySelector('[data-header]');
     this.mobileMenu = this.querySelector('[data-mobile-menu]');
     this.mobileMenuToggle = this.querySelector('[data-mobile-menu-toggle]');
-    this.mobileMenuClose = this.querySelector('[data-mobile-menu-close]');
-    this.mobileMenuOverlay = this.querySelector('[data-mobile-menu-overlay]');
     this.megaMenuToggles = this.querySelectorAll('[data-mega-menu-toggle]');
     this.mobileSubmenuToggles = this.querySelectorAll('[data-mobile-submenu-toggle]');
 
@@ -41,6 +39,7 @@ class HeaderComponent extends HTMLElement {
 
     // Cart count updates
     this.initCartUpdates();
+    this.initWishlistUpdates();
   }
 
   /**
@@ -95,45 +94,19 @@ class HeaderComponent extends HTMLElement {
 
   /**
    * Mobile Menu
+   * A <milutin-dialog>, which handles focus, Escape and closing
    */
   initMobileMenu() {
     if (!this.mobileMenu) return;
 
-    this.mobileMenuToggle?.addEventListener('click', () => this.openMobileMenu());
-    this.mobileMenuClose?.addEventListener('click', () => this.closeMobileMenu());
-    this.mobileMenuOverlay?.addEventListener('click', () => this.closeMobileMenu());
+    this.mobileMenuToggle?.addEventListener('click', () => this.mobileMenu.show(this.mobileMenuToggle));
 
-    // Close on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.mobileMenu.getAttribute('aria-hidden') === 'false') {
-        this.closeMobileMenu();
-      }
+    this.mobileMenu.addEventListener('milutin:dialog:open', () => {
+      this.mobileMenuToggle?.setAttribute('aria-expanded', 'true');
+    });
+    this.mobileMenu.addEventListener('milutin:dialog:close', () => {
+      this.mobileMenuToggle?.setAttribute('aria-expanded', 'false');
     });
-  }
-
-  openMobileMenu() {
-    this.mobileMenu.setAttribute('aria-hidden', 'false');
-    this.mobileMenuToggle.setAttribute('aria-expanded', 'true');
-    document.body.classList.add('mobile-menu-open');
-
-    // Focus first focusable element
-    const firstFocusable = this.mobileMenu.querySelector('button, [href], input');
-    firstFocusable?.focus();
-
-    // Trap focus within menu
-    this.trapFocus(this.mobileMenu);
-  }
-
-  closeMobileMenu() {
-    this.mobileMenu.setAttribute('aria-hidden', 'true');
-    this.mobileMenuToggle.setAttribute('aria-expanded', 'false');
-    document.body.classList.remove('mobile-menu-open');
-
-    // Return focus to toggle button
-    this.mobileMenuToggle?.focus();
-
-    // Remove focus trap
-    this.removeFocusTrap();
   }
 
   /**
@@ -252,14 +225,13 @@ class HeaderComponent extends HTMLElement {
    * Cart Count Updates
    */
   initCartUpdates() {
-    // Listen for cart updates from Shopify's cart API
-    document.addEventListener('cart:updated', (e) => {
-      this.updateCartCount(e.detail?.itemCount || 0);
+    window.cartStore?.subscribe((cart) => {
+      this.updateCartCount(cart.item_count);
     });
 
-    // Custom event for cart updates
-    window.addEventListener('milutin:cart-updated', (e) => {
-      this.updateCartCount(e.detail?.itemCount || 0);
+    // Third-party apps that change the cart emit Shopify's generic event
+    document.addEventListener('cart:updated', () => {
+      window.cartStore?.refresh().catch((e) => console.error('Failed to refresh cart:', e));
     });
   }
 
@@ -269,53 +241,34 @@ class HeaderComponent extends HTMLElement {
       el.textContent = count;
       el.classList.toggle('header__cart-count--hidden', count === 0);
     });
+
+    this.querySelectorAll('[data-cart-icon]').forEach((icon) => {
+      icon.setAttribute('aria-label', window.i18n.plural('cartLabel', count));
+    });
   }
 
   /**
-   * Focus Trap for Modal
+   * Wishlist Count Updates
    */
-  trapFocus(container) {
-    const focusableElements = container.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
-
-    this.focusTrapHandler = (e) => {
-      if (e.key !== 'Tab') return;
-
-      if (e.shiftKey) {
-        if (document.activeElement === firstFocusable) {
-          e.preventDefault();
-          lastFocusable.focus();
-        }
-      } else {
-        if (document.activeElement === lastFocusable) {
-          e.preventDefault();
-          firstFocusable.focus();
-        }
-      }
-    };
+  initWishlistUpdates() {
+    if (!window.wishlist) return;
 
-    container.addEventListener('keydown', this.focusTrapHandler);
+    this.updateWishlistCount(window.wishlist.getCount());
+    window.wishlist.subscribe((items) => this.updateWishlistCount(items.length));
   }
 
-  removeFocusTrap() {
-    if (this.focusTrapHandler && this.mobileMenu) {
-      this.mobileMenu.removeEventListener('keydown', this.focusTrapHandler);
-    }
+  updateWishlistCount(count) {
+    this.querySelectorAll('[data-wishlist-count]').forEach((el) => {
+      el.textContent = count;
+      el.classList.toggle('header__cart-count--hidden', count === 0);
+    });
+
+    this.querySelectorAll('[data-wishlist-icon]').forEach((icon) => {
+      icon.setAttribute('aria-label', window.i18n.plural('wishlistLabel', count));
+    });
   }
 }
 
 // Register the custom element
 customElements.define('header-component', HeaderComponent);
 
-/**
- * Helper: Dispatch cart updated event
- * Call this after cart API operations
- */
-window.updateCartCount = function(itemCount) {
-  window.dispatchEvent(new CustomEvent('milutin:cart-updated', {
-    detail: { itemCount }
-  }));
-};
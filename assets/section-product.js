@@ -1,6 +1,7 @@
 /**
  * Product Page JavaScript
- * Handles gallery, variants, quantity, and cart functionality
+ * Handles gallery, variants, quantity, and cart functionality.
+ * The quick view loads it on other pages for the same section.
  */
 
 (function() {
@@ -8,6 +9,8 @@
 
   /**
    * Product Gallery
+   * Only the active media plays: videos pause when switched away from and
+   * play muted when shown, 3D models load model-viewer on first view.
    */
   class ProductGallery {
     constructor(container) {
@@ -18,6 +21,16 @@
       this.thumbs = this.container.querySelector('[data-gallery-thumbs]');
       this.mediaItems = this.container.querySelectorAll('[data-media-id]');
       this.thumbButtons = this.container.querySelectorAll('[data-thumb-id]');
+      this.xrButton = this.container.querySelector('[data-xr-button]');
+
+      // Shopify.ModelViewerUI per media item, once loaded
+      this.modelViewers = new Map();
+
+      // Latest command per embed while it loads, null once it has loaded
+      this.pendingVideoCommands = new WeakMap();
+
+      const section = this.container.closest('[data-section-id]');
+      this.lightbox = new ProductLightbox(section?.querySelector('[data-product-lightbox]'), this);
 
       this.init();
     }
@@ -33,14 +46,23 @@
 
       // Touch/swipe support for mobile
       this.setupSwipe();
+
+      this.loadShopifyXR();
+
+      const activeItem = this.container.querySelector('.product__media-item.is-active');
+      if (activeItem) this.activateMedia(activeItem);
     }
 
     switchMedia(mediaId) {
       // Update main media
       this.mediaItems.forEach((item) => {
         const isTarget = item.getAttribute('data-media-id') === mediaId;
+        if (!isTarget && item.classList.contains('is-active')) this.deactivateMedia(item);
+
         item.classList.toggle('is-active', isTarget);
         item.hidden = !isTarget;
+
+        if (isTarget) this.activateMedia(item);
       });
 
       // Update thumbnails
@@ -63,11 +85,16 @@
       let touchStartX = 0;
       let touchEndX = 0;
 
+      let isModelDrag = false;
+
       this.mainGallery.addEventListener('touchstart', (e) => {
         touchStartX = e.changedTouches[0].screenX;
+        // Dragging a 3D model rotates it instead
+        isModelDrag = Boolean(e.target.closest('model-viewer'));
       }, { passive: true });
 
       this.mainGallery.addEventListener('touchend', (e) => {
+        if (isModelDrag) return;
         touchEndX = e.changedTouches[0].screenX;
         this.handleSwipe(touchStartX, touchEndX);
       }, { passive: true });
@@ -97,6 +124,122 @@
       this.switchMedia(mediaIds[newIndex]);
     }
 
+    activateMedia(item) {
+      switch (item.getAttribute('data-media-type')) {
+        case 'video': {
+          const video = item.querySelector('video');
+          video.muted = true;
+          // Autoplay can still be refused, e.g. in low power mode
+          video.play().catch(() => {});
+          break;
+        }
+        case 'external_video':
+          this.controlExternalVideo(item, 'play');
+          break;
+        case 'model':
+          this.loadModel(item);
+          if (this.xrButton) this.xrButton.setAttribute('data-shopify-model3d-id', item.getAttribute('data-media-id'));
+          break;
+      }
+    }
+
+    deactivateMedia(item) {
+      switch (item.getAttribute('data-media-type')) {
+        case 'video':
+          item.querySelector('video').pause();
+          break;
+        case 'external_video':
+          this.controlExternalVideo(item, 'pause');
+          break;
+        case 'model':
+          this.modelViewers.get(item)?.pause();
+          break;
+      }
+    }
+
+    /**
+     * YouTube and Vimeo embeds are controlled through postMessage
+     * @param {string} command - 'play' or 'pause'
+     */
+    controlExternalVideo(item, command) {
+      const iframe = item.querySelector('iframe');
+      if (!iframe) return;
+
+      const host = item.querySelector('[data-video-host]')?.getAttribute('data-video-host');
+      const message = host === 'youtube'
+        ? { event: 'command', func: `${command}Video`, args: '' }
+        : { method: command };
+
+      iframe.contentWindow?.postMessage(JSON.stringify(message), '*');
+
+      // The player may not be listening yet on first view. Only the latest
+      // command is replayed on load, so a play then pause while loading ends paused.
+      const pending = this.pendingVideoCommands;
+      if (pending.get(iframe) === null) return;
+
+      if (!pending.has(iframe)) {
+        iframe.addEventListener('load', () => {
+          iframe.contentWindow?.postMessage(JSON.stringify(pending.get(iframe)), '*');
+          pending.set(iframe, null);
+        }, { once: true });
+      }
+
+      pending.set(iframe, message);
+    }
+
+    /**
+     * Swap the poster for model-viewer and load Shopify's viewer UI
+     */
+    loadModel(item) {
+      const template = item.querySelector('[data-model-template]');
+      if (template) {
+        item.querySelector('[data-model-container]').replaceChildren(template.content.cloneNode(true));
+      }
+
+      if (this.modelViewers.has(item)) {
+        this.modelViewers.get(item).play();
+        return;
+      }
+
+      window.Shopify?.loadFeatures([{
+        name: 'model-viewer-ui',
+        version: '1.0',
+        onLoad: (errors) => {
+          if (errors) return;
+
+          const modelViewerUI = new window.Shopify.ModelViewerUI(item.querySelector('model-viewer'));
+          this.modelViewers.set(item, modelViewerUI);
+
+          // Still the one showing once the library arrived
+          if (item.classList.contains('is-active')) modelViewerUI.play();
+        }
+      }]);
+    }
+
+    loadShopifyXR() {
+      const modelsJson = this.container.querySelector('[data-product-models]');
+      if (!modelsJson) return;
+
+      window.Shopify?.loadFeatures([{
+        name: 'shopify-xr',
+        version: '1.0',
+        onLoad: (errors) => {
+          if (errors) return;
+          this.setupShopifyXR(JSON.parse(modelsJson.textContent));
+        }
+      }]);
+    }
+
+    setupShopifyXR(models) {
+      if (!window.ShopifyXR) {
+        document.addEventListener('shopify_xr_initialized', () => this.setupShopifyXR(models), { once: true });
+        return;
+      }
+
+      window.ShopifyXR.addModels(models);
+      window.ShopifyXR.setupXRElements();
+    }
+
     // Called when variant changes to show variant-specific media
     updateMedia(variantId, product) {
       if (!product) return;
@@ -108,6 +251,324 @@
     }
   }
 
+  /**
+   * Product Lightbox
+   * Fullscreen images with pinch, double-tap and double-click zoom, panning
+   * while zoomed, swipe/arrow-key navigation and a thumbnail strip.
+   */
+  class ProductLightbox {
+    constructor(lightbox, gallery) {
+      this.lightbox = lightbox;
+      this.gallery = gallery;
+      if (!this.lightbox) return;
+
+      this.stage = this.lightbox.querySelector('[data-lightbox-stage]');
+      this.slides = Array.from(this.lightbox.querySelectorAll('[data-lightbox-slide]'));
+      this.thumbs = this.lightbox.querySelectorAll('[data-lightbox-thumb]');
+      this.counter = this.lightbox.querySelector('[data-lightbox-counter]');
+
+      this.index = 0;
+      this.maxScale = 3;
+      this.doubleTapScale = 2.5;
+      this.swipeThreshold = 50;
+      this.zoom = { scale: 1, x: 0, y: 0 };
+
+      // Active pointers by id, for pinch and pan
+      this.pointers = new Map();
+      this.gesture = null;
+      this.lastTap = { time: 0, x: 0, y: 0 };
+      this.pointerType = null;
+
+      this.init();
+    }
+
+    init() {
+      this.gallery.container.querySelectorAll('[data-lightbox-open]').forEach((btn) => {
+        btn.addEventListener('click', () => this.open(btn.getAttribute('data-lightbox-open')));
+      });
+
+      // The image itself opens it too, the button is there for keyboard users
+      this.gallery.container.querySelectorAll('[data-zoom-container]').forEach((container) => {
+        container.addEventListener('click', (e) => {
+          if (e.target.closest('[data-lightbox-open]')) return;
+          this.open(container.closest('[data-media-id]')?.getAttribute('data-media-id'));
+        });
+      });
+
+      // The lightbox is a <milutin-dialog>, which handles focus, Escape and closing
+      this.lightbox.addEventListener('milutin:dialog:close', () => this.onClose());
+      this.lightbox.querySelector('[data-lightbox-prev]')?.addEventListener('click', () => this.show(this.index - 1));
+      this.lightbox.querySelector('[data-lightbox-next]')?.addEventListener('click', () => this.show(this.index + 1));
+
+      this.thumbs.forEach((thumb) => {
+        thumb.addEventListener('click', () => this.show(this.indexOf(thumb.getAttribute('data-lightbox-thumb'))));
+      });
+
+      this.lightbox.addEventListener('keydown', (e) => this.onKeydown(e));
+
+      this.stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+      this.stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+      this.stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+      this.stage.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+      this.stage.addEventListener('dblclick', (e) => {
+        // Touch double taps are handled in onTap
+        if (this.pointerType === 'touch') return;
+        if (e.target.closest('.product-lightbox__image')) this.toggleZoom(e.clientX, e.clientY);
+      });
+    }
+
+    isOpen() {
+      return this.lightbox.isOpen();
+    }
+
+    indexOf(mediaId) {
+      return Math.max(0, this.slides.findIndex((slide) => slide.getAttribute('data-media-id') === mediaId));
+    }
+
+    open(mediaId) {
+      this.show(this.indexOf(mediaId));
+      this.lightbox.show();
+    }
+
+    onClose() {
+      this.resetZoom();
+
+      // Leave the page gallery on the image that was last viewed
+      this.gallery?.switchMedia(this.slides[this.index].getAttribute('data-media-id'));
+    }
+
+    /**
+     * @param {number} index - Wraps around at either end
+     */
+    show(index) {
+      const count = this.slides.length;
+      this.index = (index + count) % count;
+      this.resetZoom();
+
+      this.slides.forEach((slide, i) => {
+        slide.hidden = i !== this.index;
+      });
+
+      // Load the current image and its neighbours, so swiping doesn't wait
+      [this.index, this.index + 1, this.index - 1].forEach((i) => this.load(this.slides[(i + count) % count]));
+
+      const mediaId = this.slides[this.index].getAttribute('data-media-id');
+      this.thumbs.forEach((thumb) => {
+        const isActive = thumb.getAttribute('data-lightbox-thumb') === mediaId;
+        thumb.classList.toggle('is-active', isActive);
+        thumb.setAttribute('aria-current', isActive ? 'true' : 'false');
+        if (isActive && this.isOpen()) thumb.scrollIntoView({ behavior: 'smooth', inline: 'center', block: 'nearest' });
+      });
+
+      this.counter.textContent = `${this.index + 1} / ${count}`;
+    }
+
+    /**
+     * @param {string} [size] - 'src' once shown, 'zoomSrc' once zoomed in
+     */
+    load(slide, size = 'src') {
+      const image = slide.querySelector('img');
+      if (image.dataset.loaded === size || image.dataset.loaded === 'zoomSrc') return;
+
+      image.src = image.dataset[size];
+      image.dataset.loaded = size;
+    }
+
+    getImage() {
+      return this.slides[this.index].querySelector('img');
+    }
+
+    onKeydown(e) {
+      if (e.key === 'ArrowLeft') {
+        this.show(this.index - 1);
+      } else if (e.key === 'ArrowRight') {
+        this.show(this.index + 1);
+      }
+    }
+
+    onPointerDown(e) {
+      if (!e.target.closest('.product-lightbox__image')) return;
+
+      this.pointerType = e.pointerType;
+      this.stage.setPointerCapture(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (this.pointers.size === 2) {
+        const [a, b] = this.pointers.values();
+        this.gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.zoom.scale };
+      } else if (this.pointers.size === 1) {
+        this.gesture = { type: 'pan', startX: e.clientX, startY: e.clientY, x: this.zoom.x, y: this.zoom.y };
+      }
+    }
+
+    onPointerMove(e) {
+      if (!this.pointers.has(e.pointerId)) return;
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (this.gesture?.type === 'pinch' && this.pointers.size === 2) {
+        const [a, b] = this.pointers.values();
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        this.setZoom(this.gesture.scale * (distance / this.gesture.distance), this.zoom.x, this.zoom.y);
+      } else if (this.gesture?.type === 'pan' && this.zoom.scale > 1) {
+        this.setZoom(
+          this.zoom.scale,
+          this.gesture.x + e.clientX - this.gesture.startX,
+          this.gesture.y + e.clientY - this.gesture.startY
+        );
+      }
+    }
+
+    onPointerUp(e) {
+      if (!this.pointers.has(e.pointerId)) return;
+      this.pointers.delete(e.pointerId);
+
+      const gesture = this.gesture;
+
+      if (this.pointers.size > 0) {
+        // One finger left after a pinch carries on panning from here
+        const [remaining] = this.pointers.values();
+        this.gesture = { type: 'pan', startX: remaining.x, startY: remaining.y, x: this.zoom.x, y: this.zoom.y, moved: true };
+        return;
+      }
+
+      this.gesture = null;
+      if (!gesture || gesture.type !== 'pan' || gesture.moved || e.type === 'pointercancel') return;
+
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+
+      // Swipe between images when not zoomed in
+      if (this.zoom.scale === 1 && Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+        this.show(dx < 0 ? this.index + 1 : this.index - 1);
+        return;
+      }
+
+      // Mouse double clicks come through dblclick
+      if (e.pointerType === 'touch' && Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+        this.onTap(e);
+      }
+    }
+
+    onTap(e) {
+      const now = Date.now();
+      const isDoubleTap = now - this.lastTap.time < 300 &&
+        Math.hypot(e.clientX - this.lastTap.x, e.clientY - this.lastTap.y) < 30;
+
+      if (isDoubleTap) {
+        this.toggleZoom(e.clientX, e.clientY);
+        this.lastTap.time = 0;
+      } else {
+        this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+      }
+    }
+
+    /**
+     * Zoom in on the tapped point, or back out
+     */
+    toggleZoom(clientX, clientY) {
+      if (this.zoom.scale > 1) {
+        this.resetZoom();
+        return;
+      }
+
+      const rect = this.getImage().getBoundingClientRect();
+      const scale = this.doubleTapScale;
+      const offsetX = clientX - (rect.left + rect.width / 2);
+      const offsetY = clientY - (rect.top + rect.height / 2);
+
+      this.setZoom(scale, -offsetX * (scale - 1), -offsetY * (scale - 1));
+    }
+
+    /**
+     * Apply scale and pan, keeping the zoomed image over the stage
+     */
+    setZoom(scale, x, y) {
+      const image = this.getImage();
+      const clampedScale = Math.min(Math.max(scale, 1), this.maxScale);
+      const maxX = (image.offsetWidth * (clampedScale - 1)) / 2;
+      const maxY = (image.offsetHeight * (clampedScale - 1)) / 2;
+
+      this.zoom = {
+        scale: clampedScale,
+        x: Math.min(Math.max(x, -maxX), maxX),
+        y: Math.min(Math.max(y, -maxY), maxY)
+      };
+
+      image.style.transform = `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${this.zoom.scale})`;
+      this.lightbox.classList.toggle('is-zoomed', this.zoom.scale > 1);
+
+      // Full resolution is only worth loading once zoomed in
+      if (this.zoom.scale > 1) this.load(this.slides[this.index], 'zoomSrc');
+    }
+
+    resetZoom() {
+      this.zoom = { scale: 1, x: 0, y: 0 };
+      this.lightbox.classList.remove('is-zoomed');
+      this.slides.forEach((slide) => {
+        slide.querySelector('img').style.transform = '';
+      });
+    }
+  }
+
+  /**
+   * Option Matrix
+   * Every option combination of the product, precomputed from its variants,
+   * for any number of options.
+   */
+  class OptionMatrix {
+    constructor(product) {
+      this.variants = product.variants;
+      this.combinations = new Map(product.variants.map((variant) => [this.key(variant.options), variant]));
+    }
+
+    key(options) {
+      return JSON.stringify(options);
+    }
+
+    getVariant(options) {
+      return this.combinations.get(this.key(options)) || null;
+    }
+
+    /**
+     * State of one option value with the other selections kept
+     * @returns {string} 'available', 'sold-out' or 'missing' when no such variant exists
+     */
+    getStatus(selectedOptions, index, value) {
+      const options = [...selectedOptions];
+      options[index] = value;
+
+      const variant = this.getVariant(options);
+      if (!variant) return 'missing';
+      return variant.available ? 'available' : 'sold-out';
+    }
+
+    /**
+     * Closest existing variant that keeps the option just changed.
+     * Earlier options weigh more than later ones, in stock wins a tie.
+     */
+    getNearestVariant(selectedOptions, changedIndex) {
+      let nearest = null;
+      let bestScore = -1;
+
+      this.variants.forEach((variant) => {
+        if (variant.options[changedIndex] !== selectedOptions[changedIndex]) return;
+
+        const matches = variant.options.reduce((score, value, i) => {
+          if (i === changedIndex || value !== selectedOptions[i]) return score;
+          return score + 2 ** (variant.options.length - i);
+        }, 0);
+        const score = matches * 2 + (variant.available ? 1 : 0);
+
+        if (score > bestScore) {
+          nearest = variant;
+          bestScore = score;
+        }
+      });
+
+      return nearest;
+    }
+  }
+
   /**
    * Product Form
    */
@@ -117,26 +578,38 @@
       this.form = section.querySelector('[data-product-form]');
       if (!this.form) return;
 
+      // In the quick view the page URL belongs to the page behind it
+      this.isQuickView = section.hasAttribute('data-quick-view');
+
       this.productJson = section.querySelector('[data-product-json]');
       this.product = this.productJson ? JSON.parse(this.productJson.textContent) : null;
+      this.matrix = this.product ? new OptionMatrix(this.product) : null;
 
       this.variantIdInput = this.form.querySelector('[data-variant-id]');
       this.optionInputs = this.form.querySelectorAll('[data-option-input]');
       this.priceContainer = section.querySelector('[data-product-price]');
       this.addToCartBtn = this.form.querySelector('[data-add-to-cart]');
       this.skuContainer = section.querySelector('[data-product-sku]');
+      this.wishlistBtn = section.querySelector('[data-wishlist-toggle][data-product-variant-id]');
+      this.backInStock = section.querySelector('back-in-stock-form');
 
       this.gallery = new ProductGallery(section.querySelector('[data-product-gallery]'));
 
+      const stickyBar = section.querySelector('[data-sticky-atc]');
+      this.stickyBar = stickyBar ? new StickyAddToCart(stickyBar, this) : null;
+
       this.init();
     }
 
     init() {
       // Option change
       this.optionInputs.forEach((input) => {
-        input.addEventListener('change', () => this.onOptionChange());
+        const optionIndex = Number(input.closest('[data-option-index]').getAttribute('data-option-index'));
+        input.addEventListener('change', () => this.onOptionChange(optionIndex));
       });
 
+      this.applyUrlVariant();
+
       // Quantity buttons
       this.setupQuantity();
 
@@ -144,17 +617,47 @@
       this.form.addEventListener('submit', (e) => this.onSubmit(e));
     }
 
-    onOptionChange() {
-      const selectedOptions = this.getSelectedOptions();
-      const variant = this.getVariantFromOptions(selectedOptions);
+    /**
+     * The page can come from cache or a back/forward navigation with other
+     * options checked than ?variant= asks for
+     */
+    applyUrlVariant() {
+      const variantId = !this.isQuickView && new URLSearchParams(window.location.search).get('variant');
+      const variant = variantId && this.product?.variants.find((v) => String(v.id) === variantId);
+
+      if (variant && String(variant.id) !== this.variantIdInput?.value) {
+        this.selectOptions(variant.options);
+        this.onOptionChange();
+      } else {
+        this.updateOptionAvailability(this.getSelectedOptions());
+      }
+    }
+
+    /**
+     * @param {number} [changedIndex] - Option the shopper just changed, kept when correcting the rest
+     */
+    onOptionChange(changedIndex) {
+      let selectedOptions = this.getSelectedOptions();
+      let variant = this.getVariantFromOptions(selectedOptions);
+
+      // Impossible combination: move the other options to the nearest variant that exists
+      if (!variant && changedIndex !== undefined && this.matrix) {
+        variant = this.matrix.getNearestVariant(selectedOptions, changedIndex);
+        if (variant) {
+          this.selectOptions(variant.options);
+          selectedOptions = variant.options;
+        }
+      }
 
       this.updateVariantId(variant);
       this.updatePrice(variant);
       this.updateAddToCartButton(variant);
       this.updateOptionLabels(selectedOptions);
       this.updateSku(variant);
+      this.updateWishlistButton(variant);
       this.updateUrl(variant);
       this.updateOptionAvailability(selectedOptions);
+      this.stickyBar?.update(variant);
 
       // Update gallery to show variant image
       if (this.gallery && variant) {
@@ -177,11 +680,13 @@
     }
 
     getVariantFromOptions(options) {
-      if (!this.product) return null;
+      return this.matrix ? this.matrix.getVariant(options) : null;
+    }
 
-      return this.product.variants.find((variant) => {
-        return options.every((option, index) => {
-          return variant[`option${index + 1}`] === option;
+    selectOptions(values) {
+      this.form.querySelectorAll('[data-option-index]').forEach((group, index) => {
+        group.querySelectorAll('[data-option-input]').forEach((input) => {
+          input.checked = input.value === values[index];
         });
       });
     }
@@ -199,37 +704,42 @@
 
       if (variant.compare_at_price && variant.compare_at_price > variant.price) {
         priceHtml = `
-          <span class="product__price-sale">${this.formatMoney(variant.price)}</span>
-          <s class="product__price-compare">${this.formatMoney(variant.compare_at_price)}</s>
-          <span class="product__price-badge">${window.translations?.sale || 'Sale'}</span>
+          <span class="product__price-sale">${window.money.format(variant.price)}</span>
+          <s class="product__price-compare">${window.money.format(variant.compare_at_price)}</s>
+          <span class="product__price-badge">${window.i18n.t('sale')}</span>
         `;
       } else {
-        priceHtml = `<span class="product__price-regular">${this.formatMoney(variant.price)}</span>`;
+        priceHtml = `<span class="product__price-regular">${window.money.format(variant.price)}</span>`;
       }
 
       this.priceContainer.innerHTML = priceHtml;
     }
 
-    formatMoney(cents) {
-      // Use Shopify's currency format if available, fallback to shop currency
-      const amount = (cents / 100).toFixed(2);
-      const currency = window.Shopify?.currency?.active || window.shopCurrency || 'RSD';
-      return `${amount} ${currency}`;
-    }
-
     updateAddToCartButton(variant) {
-      if (!this.addToCartBtn) return;
-
       if (!variant) {
-        this.addToCartBtn.disabled = true;
-        this.addToCartBtn.textContent = window.translations?.unavailable || 'Unavailable';
+        this.setButtonState(true, 'unavailable');
       } else if (!variant.available) {
-        this.addToCartBtn.disabled = true;
-        this.addToCartBtn.textContent = window.translations?.soldOut || 'Sold Out';
+        this.setButtonState(true, 'soldOut');
       } else {
-        this.addToCartBtn.disabled = false;
-        this.addToCartBtn.textContent = window.translations?.addToCart || 'Add to Cart';
+        this.setButtonState(false, 'addToCart');
       }
+
+      // Sold-out variants offer a restock signup instead
+      this.backInStock?.setVariant(variant);
+    }
+
+    /**
+     * The sticky bar button mirrors the main one
+     * @param {boolean} disabled
+     * @param {string} key - Translation key for the label
+     */
+    setButtonState(disabled, key) {
+      [this.addToCartBtn, this.stickyBar?.button].forEach((btn) => {
+        if (!btn) return;
+
+        btn.disabled = disabled;
+        btn.textContent = window.i18n.t(key);
+      });
     }
 
     updateOptionLabels(selectedOptions) {
@@ -243,11 +753,27 @@
       });
     }
 
+    /**
+     * The wishlist button saves whichever variant is selected
+     */
+    updateWishlistButton(variant) {
+      if (!this.wishlistBtn || !variant) return;
+
+      this.wishlistBtn.dataset.productVariantId = variant.id;
+      this.wishlistBtn.dataset.productVariantTitle = variant.title;
+      this.wishlistBtn.dataset.productPrice = window.money.format(variant.price);
+      if (variant.featured_image) {
+        this.wishlistBtn.dataset.productImage = variant.featured_image.src;
+      }
+
+      window.wishlist?.updateUI();
+    }
+
     updateSku(variant) {
       if (!this.skuContainer) return;
 
       if (variant && variant.sku) {
-        this.skuContainer.textContent = `SKU: ${variant.sku}`;
+        this.skuContainer.textContent = window.i18n.t('sku', { sku: variant.sku });
         this.skuContainer.hidden = false;
       } else {
         this.skuContainer.hidden = true;
@@ -255,42 +781,36 @@
     }
 
     updateUrl(variant) {
-      if (!variant) return;
+      if (!variant || this.isQuickView) return;
 
       const url = new URL(window.location.href);
       url.searchParams.set('variant', variant.id);
       window.history.replaceState({}, '', url.toString());
     }
 
+    /**
+     * Mark each value sold out or nonexistent in combination with the other
+     * selections. Both stay selectable: sold-out values show the restock
+     * signup, nonexistent ones switch the other options to a variant that exists.
+     */
     updateOptionAvailability(selectedOptions) {
-      if (!this.product || this.product.options.length < 2) return;
-
-      // For multi-option products, update which options are available
-      // based on current selections
-      const optionGroups = this.form.querySelectorAll('[data-option-index]');
-
-      optionGroups.forEach((group, groupIndex) => {
-        const buttons = group.querySelectorAll('.product__option-button');
-
-        buttons.forEach((button) => {
-          const input = button.querySelector('input');
-          const value = input.value;
-
-          // Check if this option value results in an available variant
-          const testOptions = [...selectedOptions];
-          testOptions[groupIndex] = value;
-
-          const matchingVariant = this.product.variants.find((variant) => {
-            return testOptions.every((opt, idx) => {
-              if (idx === groupIndex) return variant[`option${idx + 1}`] === opt;
-              if (idx < groupIndex) return variant[`option${idx + 1}`] === selectedOptions[idx];
-              return true;
-            });
-          });
-
-          const isAvailable = matchingVariant && matchingVariant.available;
-          button.classList.toggle('product__option-button--unavailable', !isAvailable);
-          input.disabled = !matchingVariant;
+      if (!this.matrix) return;
+
+      this.form.querySelectorAll('[data-option-index]').forEach((group, groupIndex) => {
+        group.querySelectorAll('[data-option-input]').forEach((input) => {
+          const status = this.matrix.getStatus(selectedOptions, groupIndex, input.value);
+          const label = input.closest('label');
+
+          label.classList.toggle('is-sold-out', status === 'sold-out');
+          label.classList.toggle('is-missing', status === 'missing');
+          input.disabled = false;
+
+          if (status === 'available') {
+            input.removeAttribute('aria-label');
+          } else {
+            const state = window.i18n.t(status === 'sold-out' ? 'soldOut' : 'unavailable');
+            input.setAttribute('aria-label', `${input.value}, ${state}`);
+          }
         });
       });
     }
@@ -325,56 +845,91 @@
 
       const formData = new FormData(this.form);
 
-      this.addToCartBtn.disabled = true;
-      this.addToCartBtn.textContent = window.translations?.adding || 'Adding...';
+      this.setButtonState(true, 'adding');
 
       try {
-        const response = await fetch('/cart/add.js', {
-          method: 'POST',
-          body: formData
-        });
+        await window.cartStore.add(formData);
 
-        const data = await response.json();
+        // Show success feedback
+        this.setButtonState(true, 'added');
 
-        if (response.ok) {
-          // Update cart count in header
-          this.updateCartCount();
+        // Open cart drawer if available
+        document.dispatchEvent(new CustomEvent('milutin:cart:open'));
 
-          // Show success feedback
-          this.addToCartBtn.textContent = window.translations?.added || 'Added!';
-
-          // Open cart drawer if available
-          document.dispatchEvent(new CustomEvent('milutin:cart:open'));
-
-          setTimeout(() => {
-            this.addToCartBtn.disabled = false;
-            this.addToCartBtn.textContent = window.translations?.addToCart || 'Add to Cart';
-          }, 2000);
-        } else {
-          throw new Error(data.description || 'Error adding to cart');
-        }
+        setTimeout(() => this.setButtonState(false, 'addToCart'), 2000);
       } catch (error) {
         console.error('Add to cart error:', error);
-        this.addToCartBtn.textContent = error.message;
 
-        setTimeout(() => {
-          this.addToCartBtn.disabled = false;
-          this.addToCartBtn.textContent = window.translations?.addToCart || 'Add to Cart';
-        }, 3000);
+        document.dispatchEvent(new CustomEvent('milutin:toast:show', {
+          detail: {
+            variant: 'error',
+            message: error.data?.description || window.i18n.t('cartError')
+          }
+        }));
+
+        this.setButtonState(false, 'addToCart');
       }
     }
+  }
 
-    async updateCartCount() {
-      try {
-        const response = await fetch('/cart.js');
-        const cart = await response.json();
+  /**
+   * Sticky Add To Cart
+   * Bottom bar shown while the product form is scrolled out of view. Picking a
+   * variant here selects its options in the form, and the form reports every
+   * variant change back through update().
+   */
+  class StickyAddToCart {
+    constructor(bar, productForm) {
+      this.bar = bar;
+      this.productForm = productForm;
 
-        document.querySelectorAll('[data-cart-count]').forEach((el) => {
-          el.textContent = cart.item_count;
-          el.hidden = cart.item_count === 0;
-        });
-      } catch (error) {
-        console.error('Error updating cart count:', error);
+      this.button = bar.querySelector('[data-sticky-atc-button]');
+      this.select = bar.querySelector('[data-sticky-atc-select]');
+      this.variantLabel = bar.querySelector('[data-sticky-atc-variant]');
+      this.price = bar.querySelector('[data-sticky-atc-price]');
+
+      this.init();
+    }
+
+    init() {
+      this.select?.addEventListener('change', () => this.onSelect());
+
+      // Only once the form is above the viewport, not while it is still below
+      const observer = new IntersectionObserver(([entry]) => {
+        this.setVisible(!entry.isIntersecting && entry.boundingClientRect.top < 0);
+      });
+      observer.observe(this.productForm.form);
+    }
+
+    setVisible(visible) {
+      this.bar.classList.toggle('is-visible', visible);
+      this.bar.setAttribute('aria-hidden', String(!visible));
+      this.bar.inert = !visible;
+    }
+
+    onSelect() {
+      const variant = this.productForm.product?.variants.find((v) => String(v.id) === this.select.value);
+      if (!variant) return;
+
+      this.productForm.selectOptions(variant.options);
+      this.productForm.onOptionChange();
+    }
+
+    /**
+     * @param {Object|null} variant - Variant selected in the product form
+     */
+    update(variant) {
+      if (this.select) this.select.value = variant ? String(variant.id) : '';
+      if (this.variantLabel) this.variantLabel.textContent = variant ? variant.title : window.i18n.t('unavailable');
+      if (!variant) return;
+
+      if (variant.compare_at_price && variant.compare_at_price > variant.price) {
+        this.price.innerHTML = `
+          <span class="sticky-atc__price-sale">${window.money.format(variant.price)}</span>
+          <s class="sticky-atc__price-compare">${window.money.format(variant.compare_at_price)}</s>
+        `;
+      } else {
+        this.price.textContent = window.money.format(variant.price);
       }
     }
   }
@@ -383,8 +938,8 @@
    * Image Zoom (on hover)
    */
   class ImageZoom {
-    constructor() {
-      this.zoomContainers = document.querySelectorAll('[data-zoom-container]');
+    constructor(section) {
+      this.zoomContainers = section.querySelectorAll('[data-zoom-container]');
       this.init();
     }
 
@@ -412,21 +967,21 @@
   }
 
   /**
-   * Initialize
+   * Product Section
+   * Wraps main-product on the product page and in the quick view, which sets
+   * data-quick-view before inserting it. Initializes whenever it is connected.
    */
-  function init() {
-    const productSection = document.querySelector('[data-section-id]');
-    if (productSection) {
-      new ProductForm(productSection);
-    }
+  class ProductSection extends HTMLElement {
+    connectedCallback() {
+      if (this.productForm) return;
 
-    new ImageZoom();
+      this.productForm = new ProductForm(this);
+      new ImageZoom(this);
+    }
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  if (!customElements.get('product-section')) {
+    customElements.define('product-section', ProductSection);
   }
 
 })();
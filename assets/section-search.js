@@ -1,16 +1,15 @@
 /**
  * Search Modal Component
- * Handles search overlay and predictive search
+ * Handles search overlay and predictive search. Opening, closing and focus
+ * come from MilutinDialog (dialog.js).
  */
 
-class SearchModal extends HTMLElement {
+class SearchModal extends MilutinDialog {
   constructor() {
     super();
 
-    this.overlay = this.querySelector('[data-search-overlay]');
     this.input = this.querySelector('[data-search-input]');
     this.results = this.querySelector('[data-search-results]');
-    this.closeBtn = this.querySelector('[data-search-close]');
 
     this.searchUrl = window.routes?.predictive_search_url || '/search/suggest.json';
     this.debounceTimer = null;
@@ -21,16 +20,7 @@ class SearchModal extends HTMLElement {
   }
 
   init() {
-    // Close handlers
-    this.closeBtn?.addEventListener('click', () => this.close());
-    this.overlay?.addEventListener('click', () => this.close());
-
-    // Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isOpen()) {
-        this.close();
-      }
-    });
+    this.addEventListener('milutin:dialog:close', () => this.clearResults());
 
     // Predictive search
     this.input?.addEventListener('input', () => this.onInput());
@@ -42,39 +32,8 @@ class SearchModal extends HTMLElement {
       }
     });
 
-    // Listen for open events
-    document.addEventListener('search:open', () => this.open());
-  }
-
-  isOpen() {
-    return this.getAttribute('aria-hidden') === 'false';
-  }
-
-  open() {
-    this.setAttribute('aria-hidden', 'false');
-    document.body.classList.add('search-open');
-
-    // Focus input
-    setTimeout(() => {
-      this.input?.focus();
-    }, 100);
-
-    // Trap focus
-    this.trapFocus();
-  }
-
-  close() {
-    this.setAttribute('aria-hidden', 'true');
-    document.body.classList.remove('search-open');
-
-    // Clear results
-    this.clearResults();
-
-    // Remove focus trap
-    this.removeFocusTrap();
-
-    // Return focus to trigger
-    document.querySelector('[data-search-trigger]')?.focus();
+    // Listen for open events, detail.opener gets focus back on close
+    document.addEventListener('search:open', (e) => this.show(e.detail?.opener));
   }
 
   onInput() {
@@ -103,9 +62,12 @@ class SearchModal extends HTMLElement {
     // Create new abort controller
     this.abortController = new AbortController();
 
+    // Match the catalog whether the query was typed in Latin or Cyrillic
+    const searchQuery = window.serbianScript?.toSearchQuery(query) || query;
+
     try {
       const response = await fetch(
-        `${this.searchUrl}?q=${encodeURIComponent(query)}&resources[type]=product,collection&resources[limit]=6&section_id=predictive-search`,
+        `${this.searchUrl}?q=${encodeURIComponent(searchQuery)}&resources[type]=product,collection&resources[limit]=6&section_id=predictive-search`,
         { signal: this.abortController.signal }
       );
 
@@ -137,50 +99,20 @@ class SearchModal extends HTMLElement {
   clearResults() {
     this.results.innerHTML = `
       <div class="search-modal__placeholder">
-        <p class="search-modal__hint">${window.translations?.searchPlaceholder || 'What are you looking for?'}</p>
+        <p class="search-modal__hint">${window.i18n.t('searchPlaceholder')}</p>
       </div>
     `;
   }
 
   showNoResults(query) {
-    const noResultsText = window.translations?.searchNoResults || 'No results for';
     this.results.innerHTML = `
       <div class="predictive-search__no-results">
-        <p>${noResultsText} "${query}"</p>
+        <p></p>
       </div>
     `;
-  }
-
-  trapFocus() {
-    const focusableElements = this.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
-
-    this.focusTrapHandler = (e) => {
-      if (e.key !== 'Tab') return;
-
-      if (e.shiftKey) {
-        if (document.activeElement === firstFocusable) {
-          e.preventDefault();
-          lastFocusable.focus();
-        }
-      } else {
-        if (document.activeElement === lastFocusable) {
-          e.preventDefault();
-          firstFocusable.focus();
-        }
-      }
-    };
 
-    this.addEventListener('keydown', this.focusTrapHandler);
-  }
-
-  removeFocusTrap() {
-    if (this.focusTrapHandler) {
-      this.removeEventListener('keydown', this.focusTrapHandler);
-    }
+    // Set as text, the query is user input
+    this.results.querySelector('p').textContent = window.i18n.t('searchNoResults', { query });
   }
 }
 
@@ -197,7 +129,7 @@ document.addEventListener('DOMContentLoaded', () => {
   triggers.forEach((trigger) => {
     trigger.addEventListener('click', (e) => {
       e.preventDefault();
-      document.dispatchEvent(new CustomEvent('search:open'));
+      document.dispatchEvent(new CustomEvent('search:open', { detail: { opener: trigger } }));
     });
   });
 });
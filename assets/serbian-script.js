@@ -0,0 +1,266 @@
+/**
+ * Serbian Script
+ * Cyrillic/Latin toggle for the Serbian storefront. The page is rendered in
+ * Latin; in Cyrillic mode text and labels are transliterated client-side,
+ * including content other scripts render later (search, wishlist, quick view).
+ *
+ * Product titles and descriptions, marked with data-product-content, are only
+ * transliterated when the theme setting allows it. Opt out with data-script-skip.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'milutin_script';
+  const SCRIPT_CHANGED_EVENT = 'milutin:script:changed';
+
+  const LATIN_DIGRAPHS = {
+    'Lj': 'Љ', 'LJ': 'Љ', 'lj': 'љ',
+    'Nj': 'Њ', 'NJ': 'Њ', 'nj': 'њ',
+    'Dž': 'Џ', 'DŽ': 'Џ', 'dž': 'џ'
+  };
+
+  const LATIN_LETTERS = {
+    'A': 'А', 'B': 'Б', 'V': 'В', 'G': 'Г', 'D': 'Д', 'Đ': 'Ђ', 'E': 'Е', 'Ž': 'Ж',
+    'Z': 'З', 'I': 'И', 'J': 'Ј', 'K': 'К', 'L': 'Л', 'M': 'М', 'N': 'Н', 'O': 'О',
+    'P': 'П', 'R': 'Р', 'S': 'С', 'T': 'Т', 'Ć': 'Ћ', 'U': 'У', 'F': 'Ф', 'H': 'Х',
+    'C': 'Ц', 'Č': 'Ч', 'Š': 'Ш',
+    'a': 'а', 'b': 'б', 'v': 'в', 'g': 'г', 'd': 'д', 'đ': 'ђ', 'e': 'е', 'ž': 'ж',
+    'z': 'з', 'i': 'и', 'j': 'ј', 'k': 'к', 'l': 'л', 'm': 'м', 'n': 'н', 'o': 'о',
+    'p': 'п', 'r': 'р', 's': 'с', 't': 'т', 'ć': 'ћ', 'u': 'у', 'f': 'ф', 'h': 'х',
+    'c': 'ц', 'č': 'ч', 'š': 'ш'
+  };
+
+  const CYRILLIC_LETTERS = Object.fromEntries(
+    Object.entries({ ...LATIN_LETTERS, 'Lj': 'Љ', 'lj': 'љ', 'Nj': 'Њ', 'nj': 'њ', 'Dž': 'Џ', 'dž': 'џ' })
+      .map(([latin, cyrillic]) => [cyrillic, latin])
+  );
+
+  const LATIN_PATTERN = /Lj|LJ|lj|Nj|NJ|nj|Dž|DŽ|dž|[A-Za-zĐđŽžĆćČčŠš]/g;
+  const CYRILLIC_PATTERN = /[Ѐ-ӿ]/g;
+
+  // Words that are not Serbian: foreign letters, sizes and codes (XL, RSD), numbers, links
+  const SKIP_WORD = /[qwxyQWXY0-9@/]|^[A-Z]{1,3}$/;
+  const WORD_PUNCTUATION = /[.,:;!?()"'«»„“”]/g;
+
+  const SKIP_ELEMENTS = 'script, style, noscript, code, pre, textarea, input, [contenteditable], [data-script-skip], [translate="no"]';
+  const ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+  class SerbianScript {
+    constructor() {
+      const settings = window.scriptSettings || {};
+
+      this.productContent = Boolean(settings.productContent);
+      this.catalogScript = settings.catalogScript || 'latin';
+      this.originalLang = document.documentElement.lang;
+
+      // Original Latin values, so switching back restores them exactly
+      this.originalText = new WeakMap();
+      this.originalAttributes = new WeakMap();
+
+      this.observer = new MutationObserver((mutations) => this.onMutations(mutations));
+      this.script = this.load();
+
+      this.init();
+    }
+
+    init() {
+      document.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-script-option]');
+        if (option) this.set(option.getAttribute('data-script-option'));
+      });
+
+      // Search terms are matched against the catalog in its own script
+      document.addEventListener('submit', (e) => {
+        const input = e.target.querySelector('input[name="q"]');
+        if (input) input.value = this.toSearchQuery(input.value);
+      });
+
+      this.updateToggles();
+      if (this.script === 'cyrillic') this.apply();
+    }
+
+    load() {
+      try {
+        return localStorage.getItem(STORAGE_KEY) === 'cyrillic' ? 'cyrillic' : 'latin';
+      } catch {
+        return 'latin';
+      }
+    }
+
+    get() {
+      return this.script;
+    }
+
+    /**
+     * @param {string} script - 'latin' or 'cyrillic'
+     */
+    set(script) {
+      if (script === this.script) return;
+
+      this.script = script === 'cyrillic' ? 'cyrillic' : 'latin';
+
+      try {
+        localStorage.setItem(STORAGE_KEY, this.script);
+      } catch (e) {
+        console.error('Failed to save script preference:', e);
+      }
+
+      if (this.script === 'cyrillic') {
+        this.apply();
+      } else {
+        this.restore();
+      }
+
+      this.updateToggles();
+      document.dispatchEvent(new CustomEvent(SCRIPT_CHANGED_EVENT, {
+        detail: { script: this.script }
+      }));
+    }
+
+    toCyrillic(text) {
+      return text.replace(/[^\s]+/g, (word) => {
+        if (SKIP_WORD.test(word.replace(WORD_PUNCTUATION, ''))) return word;
+        return word.replace(LATIN_PATTERN, (match) => LATIN_DIGRAPHS[match] || LATIN_LETTERS[match]);
+      });
+    }
+
+    toLatin(text) {
+      return text.replace(CYRILLIC_PATTERN, (letter, offset) => {
+        const latin = CYRILLIC_LETTERS[letter] || letter;
+
+        // Љ in an all-caps word becomes LJ, not Lj
+        if (latin.length > 1 && /[Ѐ-Я]/.test(text[offset + 1] || '')) {
+          return latin.toUpperCase();
+        }
+        return latin;
+      });
+    }
+
+    /**
+     * Query as the catalog is written, so "мајица" finds "majica"
+     */
+    toSearchQuery(query) {
+      return this.catalogScript === 'cyrillic' ? this.toCyrillic(query) : this.toLatin(query);
+    }
+
+    /**
+     * Transliterate the page and keep transliterating whatever is added to it
+     */
+    apply() {
+      document.documentElement.lang = 'sr-Cyrl';
+      this.convertTree(document.body);
+
+      this.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ATTRIBUTES
+      });
+    }
+
+    restore() {
+      this.observer.disconnect();
+      document.documentElement.lang = this.originalLang;
+
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const original = this.originalText.get(node);
+
+        if (original) {
+          // Text changed by another script since, keep it but in Latin
+          node.nodeValue = node.nodeValue === original.converted ? original.value : this.toLatin(node.nodeValue);
+          this.originalText.delete(node);
+        }
+      }
+
+      document.body.querySelectorAll(ATTRIBUTES.map((name) => `[${name}]`).join(',')).forEach((el) => {
+        const originals = this.originalAttributes.get(el);
+        if (!originals) return;
+
+        Object.entries(originals).forEach(([name, original]) => {
+          const current = el.getAttribute(name);
+          if (current === null) return;
+          el.setAttribute(name, current === original.converted ? original.value : this.toLatin(current));
+        });
+        this.originalAttributes.delete(el);
+      });
+    }
+
+    onMutations(mutations) {
+      mutations.forEach((mutation) => {
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach((node) => this.convertTree(node));
+        } else if (mutation.type === 'characterData') {
+          this.convertText(mutation.target);
+        } else if (mutation.type === 'attributes') {
+          this.convertAttribute(mutation.target, mutation.attributeName);
+        }
+      });
+    }
+
+    convertTree(root) {
+      if (root.nodeType === Node.TEXT_NODE) {
+        this.convertText(root);
+        return;
+      }
+
+      if (root.nodeType !== Node.ELEMENT_NODE || this.isSkipped(root)) return;
+
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        this.convertText(walker.currentNode);
+      }
+
+      [root, ...root.querySelectorAll(ATTRIBUTES.map((name) => `[${name}]`).join(','))].forEach((el) => {
+        ATTRIBUTES.forEach((name) => this.convertAttribute(el, name));
+      });
+    }
+
+    convertText(node) {
+      if (!node.parentElement || this.isSkipped(node.parentElement)) return;
+
+      const value = node.nodeValue;
+      const converted = this.toCyrillic(value);
+
+      // Already converted, this is our own change coming back from the observer
+      if (converted === value) return;
+
+      this.originalText.set(node, { value, converted });
+      node.nodeValue = converted;
+    }
+
+    convertAttribute(el, name) {
+      const value = el.getAttribute(name);
+      if (!value || this.isSkipped(el)) return;
+
+      // Image descriptions usually repeat the product title
+      if (name === 'alt' && !this.productContent) return;
+
+      const converted = this.toCyrillic(value);
+      if (converted === value) return;
+
+      const originals = this.originalAttributes.get(el) || {};
+      originals[name] = { value, converted };
+      this.originalAttributes.set(el, originals);
+
+      el.setAttribute(name, converted);
+    }
+
+    isSkipped(el) {
+      if (el.closest(SKIP_ELEMENTS)) return true;
+      return !this.productContent && Boolean(el.closest('[data-product-content]'));
+    }
+
+    updateToggles() {
+      document.querySelectorAll('[data-script-option]').forEach((option) => {
+        option.setAttribute('aria-pressed', option.getAttribute('data-script-option') === this.script);
+      });
+    }
+  }
+
+  window.serbianScript = new SerbianScript();
+
+})();
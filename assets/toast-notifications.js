@@ -0,0 +1,142 @@
+/**
+ * Toast Notifications
+ * Shows stacked success and error messages, e.g. for add-to-cart results
+ *
+ * Show a toast from any module:
+ * document.dispatchEvent(new CustomEvent('milutin:toast:show', {
+ *   detail: { variant: 'error', message: 'All 3 in stock are already in your cart' }
+ * }));
+ */
+
+class ToastNotifications extends HTMLElement {
+  constructor() {
+    super();
+
+    this.template = this.querySelector('[data-toast-template]');
+    this.maxToasts = 3;
+    this.durations = {
+      success: 5000,
+      error: 8000
+    };
+
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('milutin:toast:show', (e) => this.show(e.detail || {}));
+
+    // An open cart drawer confirms the add itself; otherwise the toast does.
+    // Checked a task later, once the caller has had its chance to open the drawer.
+    window.cartStore?.subscribe((cart, detail) => {
+      const item = detail.action === 'add' && detail.items?.[0];
+      if (!item) return;
+
+      setTimeout(() => {
+        const drawer = document.querySelector('[data-cart-drawer]');
+        if (!drawer?.isOpen?.()) this.showAddedItem(item);
+      });
+    });
+  }
+
+  showAddedItem(item) {
+    const variantTitle = item.product_has_only_default_variant ? '' : item.variant_title;
+
+    this.show({
+      variant: 'success',
+      heading: window.i18n.t('addedToCart'),
+      message: [item.product_title, variantTitle].filter(Boolean).join(' – '),
+      image: item.image ? this.getImageUrl(item.image, 120) : '',
+      imageAlt: item.product_title,
+      action: true
+    });
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.variant - 'success' or 'error'
+   * @param {string} options.message
+   * @param {string} [options.heading]
+   * @param {string} [options.image] - Thumbnail URL
+   * @param {string} [options.imageAlt]
+   * @param {boolean} [options.action] - Show the "View cart" link
+   */
+  show({ variant = 'success', message = '', heading = '', image = '', imageAlt = '', action = false }) {
+    if (!this.template || !message) return;
+
+    const toast = this.template.content.firstElementChild.cloneNode(true);
+    toast.classList.add(`toast--${variant}`);
+
+    // Errors interrupt, confirmations wait their turn
+    toast.setAttribute('role', variant === 'error' ? 'alert' : 'status');
+
+    toast.querySelector('[data-toast-message]').textContent = message;
+
+    const headingEl = toast.querySelector('[data-toast-heading]');
+    if (heading) {
+      headingEl.textContent = heading;
+      headingEl.hidden = false;
+    }
+
+    if (image) {
+      const imageEl = toast.querySelector('[data-toast-image]');
+      imageEl.src = image;
+      imageEl.alt = imageAlt;
+      toast.querySelector('[data-toast-media]').hidden = false;
+    }
+
+    const actionEl = toast.querySelector('[data-toast-action]');
+    if (action) {
+      actionEl.hidden = false;
+      actionEl.addEventListener('click', (e) => {
+        // Prefer the drawer when the theme has one
+        if (document.querySelector('[data-cart-drawer]')) {
+          e.preventDefault();
+          this.dismiss(toast);
+          document.dispatchEvent(new CustomEvent('milutin:cart:open'));
+        }
+      });
+    }
+
+    toast.querySelector('[data-toast-close]').addEventListener('click', () => this.dismiss(toast));
+
+    // Keep the toast while the user is reading or interacting with it
+    toast.addEventListener('mouseenter', () => this.clearTimer(toast));
+    toast.addEventListener('focusin', () => this.clearTimer(toast));
+    toast.addEventListener('mouseleave', () => this.startTimer(toast, variant));
+    toast.addEventListener('focusout', () => this.startTimer(toast, variant));
+
+    this.appendChild(toast);
+    this.startTimer(toast, variant);
+
+    // Drop the oldest once the stack is full
+    const toasts = this.querySelectorAll('[data-toast]:not(.is-leaving)');
+    if (toasts.length > this.maxToasts) {
+      this.dismiss(toasts[0]);
+    }
+  }
+
+  startTimer(toast, variant) {
+    this.clearTimer(toast);
+    toast.dismissTimer = setTimeout(() => this.dismiss(toast), this.durations[variant] || this.durations.success);
+  }
+
+  clearTimer(toast) {
+    clearTimeout(toast.dismissTimer);
+  }
+
+  dismiss(toast) {
+    if (!toast.isConnected || toast.classList.contains('is-leaving')) return;
+
+    this.clearTimer(toast);
+    toast.classList.add('is-leaving');
+    setTimeout(() => toast.remove(), 150);
+  }
+
+  getImageUrl(src, width) {
+    const url = new URL(src, window.location.origin);
+    url.searchParams.set('width', width);
+    return url.toString();
+  }
+}
+
+customElements.define('toast-notifications', ToastNotifications);
@@ -0,0 +1,484 @@
+/**
+ * Wishlist
+ * The one wishlist store, shared by product cards, the product page, the cart
+ * drawer, the header count and the wishlist page:
+ *
+ * window.wishlist.add(entry)
+ * window.wishlist.remove(productId, variantId)
+ * window.wishlist.has(productId, variantId)
+ * window.wishlist.getAll()
+ * window.wishlist.subscribe((items, detail) => ...)  // returns an unsubscribe function
+ *
+ * Changes made in other tabs are picked up through the storage event.
+ */
+
+(function() {
+  'use strict';
+
+  const WISHLIST_UPDATED_EVENT = 'milutin:wishlist:updated';
+
+  /**
+   * Stored as { version, items }. Bump SCHEMA_VERSION and add a migration
+   * from the previous version whenever the entry shape changes.
+   */
+  const SCHEMA_VERSION = 2;
+  const MIGRATIONS = {
+    // v1 was a bare array of entries, ids as numbers in older themes
+    1: (items) => items.map((entry) => {
+      const migrated = { ...entry, id: String(entry.id) };
+      if (entry.variantId) migrated.variantId = String(entry.variantId);
+      return migrated;
+    })
+  };
+
+  /**
+   * Wishlist entries are per product, or per variant when saved from the
+   * product page with a size/colour selected.
+   * Without a variantId this matches every entry of the product.
+   */
+  function matchesEntry(entry, productId, variantId) {
+    if (entry.id !== productId) return false;
+    return !variantId || entry.variantId === variantId;
+  }
+
+  function isSameEntry(a, b) {
+    return a.id === b.id && (a.variantId || null) === (b.variantId || null);
+  }
+
+  /**
+   * Wishlist Manager
+   * Uses localStorage to store wishlist items.
+   * For logged-in customers WishlistSync mirrors every change to the account.
+   */
+  class WishlistManager {
+    constructor() {
+      this.storageKey = 'milutin_wishlist';
+      this.wishlist = this.load();
+      this.sync = null;
+      this.init();
+    }
+
+    load() {
+      try {
+        return this.migrate(JSON.parse(localStorage.getItem(this.storageKey)));
+      } catch {
+        return [];
+      }
+    }
+
+    /**
+     * Items of stored data in any schema version
+     */
+    migrate(data) {
+      if (!data) return [];
+
+      let { version, items } = Array.isArray(data) ? { version: 1, items: data } : data;
+
+      while (version < SCHEMA_VERSION) {
+        items = MIGRATIONS[version](items);
+        version += 1;
+      }
+
+      return items || [];
+    }
+
+    save() {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+          version: SCHEMA_VERSION,
+          items: this.wishlist
+        }));
+        this.updateUI();
+        this.dispatchEvent();
+      } catch (e) {
+        console.error('Failed to save wishlist:', e);
+      }
+    }
+
+    add(product) {
+      if (!this.has(product.id, product.variantId)) {
+        this.wishlist.push(product);
+        this.save();
+        this.sync?.record('add', product);
+      }
+    }
+
+    /**
+     * @param {string} productId
+     * @param {string} [variantId] - Only that variant's entry, otherwise all of the product
+     */
+    remove(productId, variantId) {
+      this.wishlist = this.wishlist.filter(p => !matchesEntry(p, productId, variantId));
+      this.save();
+      this.sync?.record('remove', { id: productId, variantId });
+    }
+
+    clear() {
+      const entries = this.wishlist;
+      this.wishlist = [];
+      this.save();
+      entries.forEach((entry) => this.sync?.record('remove', { id: entry.id, variantId: entry.variantId }));
+    }
+
+    /**
+     * Swap in a list from the account or with updated prices,
+     * without recording it as a change
+     */
+    replace(items) {
+      this.wishlist = items;
+      this.save();
+    }
+
+    toggle(product) {
+      if (this.has(product.id, product.variantId)) {
+        this.remove(product.id, product.variantId);
+        return false;
+      } else {
+        this.add(product);
+        return true;
+      }
+    }
+
+    has(productId, variantId) {
+      return this.wishlist.some(p => matchesEntry(p, productId, variantId));
+    }
+
+    getAll() {
+      return this.wishlist;
+    }
+
+    getCount() {
+      return this.wishlist.length;
+    }
+
+    /**
+     * Run callback with all items after every change, in this tab or another.
+     * Returns an unsubscribe function.
+     */
+    subscribe(callback) {
+      const handler = (e) => callback(e.detail.wishlist, e.detail);
+      document.addEventListener(WISHLIST_UPDATED_EVENT, handler);
+      return () => document.removeEventListener(WISHLIST_UPDATED_EVENT, handler);
+    }
+
+    init() {
+      this.updateUI();
+
+      // Another tab saved; its own sync already records the change
+      window.addEventListener('storage', (e) => {
+        if (e.key !== this.storageKey) return;
+
+        this.wishlist = this.load();
+        this.updateUI();
+        this.dispatchEvent();
+      });
+
+      // Listen for clicks on wishlist toggles
+      document.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-wishlist-toggle]');
+        if (!btn) return;
+
+        e.preventDefault();
+        this.toggle(this.fromElement(btn));
+      });
+    }
+
+    /**
+     * Build an entry from an element's data-product-* attributes
+     */
+    fromElement(el) {
+      const product = {
+        id: el.dataset.productId,
+        handle: el.dataset.productHandle,
+        title: el.dataset.productTitle,
+        image: el.dataset.productImage,
+        price: el.dataset.productPrice,
+        currency: window.money.getCurrency(),
+        url: el.dataset.productUrl
+      };
+
+      // Product page and cart line buttons save the selected size/colour
+      if (el.dataset.productVariantId) {
+        product.variantId = el.dataset.productVariantId;
+        product.variantTitle = el.dataset.productVariantTitle;
+      }
+
+      return product;
+    }
+
+    updateUI() {
+      // Update all wishlist toggle buttons
+      document.querySelectorAll('[data-wishlist-toggle]').forEach(btn => {
+        const isInWishlist = this.has(btn.dataset.productId, btn.dataset.productVariantId);
+        btn.classList.toggle('is-active', isInWishlist);
+        btn.setAttribute('aria-pressed', isInWishlist);
+
+        // Buttons with a visible label keep it as their accessible name
+        const text = window.i18n.t(isInWishlist ? 'removeFromWishlist' : 'addToWishlist');
+        const label = btn.querySelector('[data-wishlist-label]');
+        if (label) {
+          label.textContent = text;
+        } else {
+          btn.setAttribute('aria-label', text);
+        }
+      });
+    }
+
+    dispatchEvent() {
+      document.dispatchEvent(new CustomEvent(WISHLIST_UPDATED_EVENT, {
+        detail: { wishlist: this.wishlist, count: this.getCount() }
+      }));
+    }
+  }
+
+  /**
+   * Wishlist Sync
+   * Keeps a logged-in customer's wishlist in the `milutin.wishlist` customer
+   * metafield through the wishlist app proxy, so it follows them across devices.
+   *
+   * Proxy contract (the app identifies the customer from the signed proxy request):
+   *   GET  {proxyUrl} -> { revision, items }
+   *   POST {proxyUrl} { revision, items } -> 200 { revision, items }
+   *                                        -> 409 { revision, items } if revision is stale
+   *
+   * Changes are kept as pending add/remove operations until saved. On a
+   * conflict they are replayed on top of the newer account list and saved again.
+   */
+  class WishlistSync {
+    constructor(manager, account) {
+      this.manager = manager;
+      this.customerId = String(account.customerId);
+      this.ownerKey = 'milutin_wishlist_owner';
+      this.pendingKey = 'milutin_wishlist_pending';
+      this.backend = account.proxyUrl
+        ? new ProxyWishlistBackend(account.proxyUrl)
+        : new LocalWishlistBackend(this.customerId);
+
+      this.revision = 0;
+      this.pending = this.loadPending();
+      this.pushTimer = null;
+      this.pushing = null;
+      this.maxRetries = 3;
+
+      // Pick up changes another tab recorded and has not saved yet
+      window.addEventListener('storage', (e) => {
+        if (e.key === this.pendingKey && !this.pushing) this.pending = this.loadPending();
+      });
+
+      this.start(account);
+    }
+
+    /**
+     * Account data comes with the page (metafield), the stand-in loads its own
+     */
+    async start(account) {
+      try {
+        const remote = account.proxyUrl && account.wishlist
+          ? account.wishlist
+          : await this.backend.load();
+
+        // Guest list from before login merges into the account list,
+        // another customer's leftovers on this device never do
+        const owner = this.getOwner();
+        if (owner !== this.customerId) {
+          this.pending = [];
+          if (!owner) {
+            this.manager.getAll().forEach((product) => this.addPending('add', product));
+          }
+          this.savePending();
+          this.setOwner(this.customerId);
+        }
+
+        this.revision = remote.revision || 0;
+        this.manager.replace(this.rebase(remote.items || []));
+
+        if (this.pending.length > 0) this.schedulePush();
+      } catch (e) {
+        console.error('Failed to load account wishlist:', e);
+      }
+    }
+
+    record(type, product) {
+      this.addPending(type, product);
+      this.schedulePush();
+    }
+
+    addPending(type, product) {
+      this.pending.push({ type, product, at: Date.now() });
+      this.savePending();
+    }
+
+    /**
+     * Apply pending operations, in order, to a list from the account
+     */
+    rebase(items) {
+      return this.pending.reduce((list, op) => {
+        if (op.type === 'add') {
+          return [...list.filter((item) => !isSameEntry(item, op.product)), op.product];
+        }
+        return list.filter((item) => !matchesEntry(item, op.product.id, op.product.variantId));
+      }, items);
+    }
+
+    schedulePush() {
+      clearTimeout(this.pushTimer);
+      this.pushTimer = setTimeout(() => this.push(), 500);
+    }
+
+    async push() {
+      // One save at a time, changes made meanwhile go in the next one
+      if (this.pushing) {
+        await this.pushing;
+        return this.push();
+      }
+
+      this.pushing = this.save();
+      await this.pushing;
+      this.pushing = null;
+    }
+
+    async save(attempt = 0) {
+      const ops = [...this.pending];
+      if (ops.length === 0) return;
+
+      try {
+        const result = await this.backend.save({
+          revision: this.revision,
+          items: this.manager.getAll()
+        });
+        this.revision = result.revision;
+
+        if (result.conflict) {
+          // Saved elsewhere first: take that list, replay ours on top and retry
+          this.manager.replace(this.rebase(result.items || []));
+          if (attempt < this.maxRetries) await this.save(attempt + 1);
+          return;
+        }
+
+        this.pending = this.pending.filter((op) => !ops.includes(op));
+        this.savePending();
+      } catch (e) {
+        // Pending operations are kept and retried on the next page load
+        console.error('Failed to sync wishlist:', e);
+      }
+    }
+
+    getOwner() {
+      return localStorage.getItem(this.ownerKey);
+    }
+
+    setOwner(customerId) {
+      localStorage.setItem(this.ownerKey, customerId);
+    }
+
+    loadPending() {
+      try {
+        return JSON.parse(localStorage.getItem(this.pendingKey)) || [];
+      } catch {
+        return [];
+      }
+    }
+
+    savePending() {
+      try {
+        localStorage.setItem(this.pendingKey, JSON.stringify(this.pending));
+      } catch (e) {
+        console.error('Failed to save pending wishlist changes:', e);
+      }
+    }
+
+    /**
+     * After logout the account list must not stay on a shared device
+     */
+    static clearAccountData(manager) {
+      if (!localStorage.getItem('milutin_wishlist_owner')) return;
+
+      localStorage.removeItem('milutin_wishlist_owner');
+      localStorage.removeItem('milutin_wishlist_pending');
+      manager.replace([]);
+    }
+  }
+
+  /**
+   * Wishlist app proxy client
+   */
+  class ProxyWishlistBackend {
+    constructor(url) {
+      this.url = url;
+    }
+
+    async load() {
+      const response = await fetch(this.url, {
+        headers: { 'Accept': 'application/json' }
+      });
+      if (!response.ok) throw new Error(`Wishlist proxy responded ${response.status}`);
+
+      return response.json();
+    }
+
+    async save(data) {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(data)
+      });
+      const body = await response.json();
+
+      if (response.status === 409) return { ...body, conflict: true };
+      if (!response.ok) throw new Error(body.message || `Wishlist proxy responded ${response.status}`);
+
+      return body;
+    }
+  }
+
+  /**
+   * Local stand-in for the app proxy, used when no proxy URL is set.
+   * Stores the "account" list per customer in localStorage with the same
+   * revision checks, so login merge and conflicts can be tested in a theme
+   * preview without the app (edit in two tabs to produce a conflict).
+   */
+  class LocalWishlistBackend {
+    constructor(customerId) {
+      this.storageKey = `milutin_wishlist_account_${customerId}`;
+    }
+
+    async load() {
+      try {
+        return JSON.parse(localStorage.getItem(this.storageKey)) || { revision: 0, items: [] };
+      } catch {
+        return { revision: 0, items: [] };
+      }
+    }
+
+    async save({ revision, items }) {
+      const current = await this.load();
+      if (revision !== current.revision) return { ...current, conflict: true };
+
+      const next = { revision: current.revision + 1, items };
+      localStorage.setItem(this.storageKey, JSON.stringify(next));
+      return next;
+    }
+  }
+
+  /**
+   * Account rendered by theme.liquid for logged-in customers
+   */
+  function initWishlistSync(manager) {
+    const accountJson = document.querySelector('[data-wishlist-account]');
+
+    if (!accountJson) {
+      WishlistSync.clearAccountData(manager);
+      return;
+    }
+
+    try {
+      manager.sync = new WishlistSync(manager, JSON.parse(accountJson.textContent));
+    } catch (e) {
+      console.error('Failed to start wishlist sync:', e);
+    }
+  }
+
+  window.wishlist = new WishlistManager();
+  initWishlistSync(window.wishlist);
+
+})();